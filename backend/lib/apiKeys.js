@@ -0,0 +1,81 @@
+// --- Claves de API por cliente ---
+//
+// API_KEYS        lista "nombre:clave,nombre2:clave2" con los límites por defecto
+// API_KEYS_FILE   JSON [{ name, key, limits }] para dar límites propios a cada clave
+//
+// Los límites son { requestsPerMinute, requestsPerDay, charsPerMinute,
+// charsPerDay }; 0 significa sin límite. Sin ninguna clave configurada la API
+// queda abierta y cada IP cuenta como un cliente anónimo con los límites por
+// defecto. Los límites por minuto por defecto admiten un texto de
+// MAX_TEXT_CHARS caracteres y un lote de MAX_JOB_ITEMS elementos, y los
+// diarios diez veces eso; RATE_LIMIT_* los sustituye.
+
+const fs = require('fs');
+
+const LIMIT_NAMES = ['requestsPerMinute', 'requestsPerDay', 'charsPerMinute', 'charsPerDay'];
+
+function readLimit(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+function defaultLimitsFromEnv(env = process.env, { maxTextChars = 100000, maxJobItems = 100 } = {}) {
+    return {
+        requestsPerMinute: readLimit(env.RATE_LIMIT_REQUESTS_PER_MINUTE, maxJobItems),
+        requestsPerDay: readLimit(env.RATE_LIMIT_REQUESTS_PER_DAY, 10 * maxJobItems),
+        charsPerMinute: readLimit(env.RATE_LIMIT_CHARS_PER_MINUTE, maxTextChars),
+        charsPerDay: readLimit(env.RATE_LIMIT_CHARS_PER_DAY, 10 * maxTextChars),
+    };
+}
+
+/**
+ * Devuelve un Map clave -> { name, limits }. `maxima` ({ maxTextChars,
+ * maxJobItems }) ajusta los límites por defecto al tamaño máximo de una
+ * petición. Lanza si la configuración no es
+ * válida para que el servidor no arranque abierto por error.
+ */
+function loadApiKeys(env = process.env, maxima = {}) {
+    const defaults = defaultLimitsFromEnv(env, maxima);
+    const entries = [];
+
+    for (const pair of (env.API_KEYS || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        const separator = pair.indexOf(':');
+        if (separator <= 0 || separator === pair.length - 1) {
+            throw new Error(`API_KEYS no válido: "${pair}". Usa nombre:clave separados por comas.`);
+        }
+        entries.push({ name: pair.slice(0, separator), key: pair.slice(separator + 1) });
+    }
+
+    if (env.API_KEYS_FILE) {
+        const parsed = JSON.parse(fs.readFileSync(env.API_KEYS_FILE, 'utf8'));
+        if (!Array.isArray(parsed)) {
+            throw new Error(`${env.API_KEYS_FILE} debe contener una lista [{ name, key, limits }].`);
+        }
+        entries.push(...parsed);
+    }
+
+    const keys = new Map();
+    for (const { name, key, limits = {} } of entries) {
+        if (!name || !key) {
+            throw new Error('Cada clave de API necesita "name" y "key".');
+        }
+        if (keys.has(key) || [...keys.values()].some(client => client.name === name)) {
+            throw new Error(`Clave de API duplicada para "${name}".`);
+        }
+        const unknown = Object.keys(limits).filter(limit => !LIMIT_NAMES.includes(limit));
+        if (unknown.length > 0) {
+            throw new Error(`Límites desconocidos para "${name}": ${unknown.join(', ')}.`);
+        }
+        keys.set(key, { name, limits: { ...defaults, ...limits } });
+    }
+    return { keys, defaults };
+}
+
+// La clave llega en "Authorization: Bearer <clave>" o en "X-API-Key".
+function readApiKey(req) {
+    const authorization = req.get('Authorization') || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : req.get('X-API-Key') || null;
+}
+
+module.exports = { loadApiKeys, readApiKey, defaultLimitsFromEnv, LIMIT_NAMES };
@@ -0,0 +1,103 @@
+// --- Almacén de caché en disco ---
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Guarda cada entrada como `<clave>.pcm` (audio) y `<clave>.json` (metadatos)
+ * dentro de `dir`. Mantiene un índice en memoria, reconstruido al arrancar,
+ * para aplicar los límites por orden de último acceso.
+ */
+class DiskStore {
+    constructor({ dir, maxEntries, maxBytes }) {
+        this.dir = dir;
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.index = null;
+    }
+
+    async loadIndex() {
+        if (this.index) return this.index;
+        await fs.mkdir(this.dir, { recursive: true });
+        const index = new Map();
+        for (const file of await fs.readdir(this.dir)) {
+            if (!file.endsWith('.json')) continue;
+            try {
+                const meta = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+                index.set(path.basename(file, '.json'), meta);
+            } catch (error) {
+                console.error(`Entrada de caché ilegible (${file}):`, error.message);
+            }
+        }
+        this.index = index;
+        return index;
+    }
+
+    filePaths(key) {
+        return {
+            data: path.join(this.dir, `${key}.pcm`),
+            meta: path.join(this.dir, `${key}.json`),
+        };
+    }
+
+    async get(key) {
+        const index = await this.loadIndex();
+        const meta = index.get(key);
+        if (!meta) return null;
+        try {
+            const data = await fs.readFile(this.filePaths(key).data);
+            meta.lastAccess = Date.now();
+            return { ...meta, data };
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            index.delete(key);
+            return null;
+        }
+    }
+
+    async set(key, { data, ...meta }) {
+        const index = await this.loadIndex();
+        const files = this.filePaths(key);
+        const record = { ...meta, size: data.length, lastAccess: Date.now() };
+        await fs.writeFile(files.data, data);
+        await fs.writeFile(files.meta, JSON.stringify(record));
+        index.set(key, record);
+        await this.evict();
+    }
+
+    async evict() {
+        const byAccess = [...this.index].sort(([, a], [, b]) => a.lastAccess - b.lastAccess);
+        let bytes = byAccess.reduce((total, [, meta]) => total + meta.size, 0);
+        let count = byAccess.length;
+        for (const [key, meta] of byAccess) {
+            if (count <= this.maxEntries && bytes <= this.maxBytes) break;
+            await this.delete(key);
+            bytes -= meta.size;
+            count--;
+        }
+    }
+
+    async delete(key) {
+        const index = await this.loadIndex();
+        if (!index.has(key)) return false;
+        index.delete(key);
+        const files = this.filePaths(key);
+        await fs.rm(files.data, { force: true });
+        await fs.rm(files.meta, { force: true });
+        return true;
+    }
+
+    async clear() {
+        const index = await this.loadIndex();
+        for (const key of [...index.keys()]) {
+            await this.delete(key);
+        }
+    }
+
+    async list() {
+        const index = await this.loadIndex();
+        return [...index].map(([key, meta]) => ({ key, ...meta }));
+    }
+}
+
+module.exports = { DiskStore };
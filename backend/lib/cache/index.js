@@ -0,0 +1,113 @@
+// --- Caché de síntesis direccionada por contenido ---
+
+const crypto = require('crypto');
+const path = require('path');
+const { MemoryStore } = require('./memoryStore');
+const { DiskStore } = require('./diskStore');
+
+// Se incluye en la clave para invalidar la caché si cambia cómo se construye
+// el audio (prompt, modelo, pausas...).
+const CACHE_VERSION = 2;
+
+/**
+ * Clave de caché: hash SHA-256 de la petición normalizada. Dos peticiones
+ * que producirían el mismo audio comparten clave aunque difieran en espacios
+ * sobrantes, mayúsculas del estilo u orden de los hablantes.
+ */
+function buildCacheKey({ text, voice, style, mode, speakers }, extra = {}) {
+    const normalized = {
+        version: CACHE_VERSION,
+        text: text.replace(/\r\n?/g, '\n').replace(/[ \t]+/g, ' ').trim(),
+        style: (style || '').trim().toLowerCase(),
+        mode: mode || 'narration',
+        ...extra,
+    };
+    if (normalized.mode === 'dialogue') {
+        normalized.speakers = Object.keys(speakers || {}).sort().map(name => [name, speakers[name]]);
+    } else {
+        normalized.voice = voice;
+    }
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+}
+
+/**
+ * Envuelve un almacén (MemoryStore, DiskStore o cualquiera con la misma
+ * interfaz get/set/delete/clear/list) añadiendo caducidad y estadísticas.
+ */
+class SynthesisCache {
+    constructor(store, { ttlMs }) {
+        this.store = store;
+        this.ttlMs = ttlMs;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    async get(key) {
+        const entry = await this.store.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            await this.store.delete(key);
+        } else if (entry) {
+            this.hits++;
+            return entry;
+        }
+        this.misses++;
+        return null;
+    }
+
+    // `timings` (opcional) son las marcas de tiempo de lib/timings.
+    async set(key, { data, mimeType, timings }) {
+        const createdAt = Date.now();
+        await this.store.set(key, { data, mimeType, timings, createdAt, expiresAt: createdAt + this.ttlMs });
+    }
+
+    delete(key) {
+        return this.store.delete(key);
+    }
+
+    clear() {
+        return this.store.clear();
+    }
+
+    async stats() {
+        const entries = await this.store.list();
+        return {
+            store: this.store.constructor.name,
+            ttlMs: this.ttlMs,
+            maxEntries: this.store.maxEntries,
+            maxBytes: this.store.maxBytes,
+            hits: this.hits,
+            misses: this.misses,
+            entryCount: entries.length,
+            totalBytes: entries.reduce((total, entry) => total + entry.size, 0),
+            entries,
+        };
+    }
+}
+
+/**
+ * Crea la caché según las variables de entorno:
+ * TTS_CACHE (memory | disk | off), TTS_CACHE_DIR, TTS_CACHE_TTL_SECONDS,
+ * TTS_CACHE_MAX_ENTRIES y TTS_CACHE_MAX_MB. Devuelve null si está desactivada.
+ */
+function createCacheFromEnv(env = process.env) {
+    const type = (env.TTS_CACHE || 'memory').toLowerCase();
+    if (type === 'off') return null;
+
+    const limits = {
+        maxEntries: parseInt(env.TTS_CACHE_MAX_ENTRIES, 10) || 500,
+        maxBytes: (parseFloat(env.TTS_CACHE_MAX_MB) || 256) * 1024 * 1024,
+    };
+    const ttlMs = (parseInt(env.TTS_CACHE_TTL_SECONDS, 10) || 7 * 24 * 3600) * 1000;
+
+    let store;
+    if (type === 'disk') {
+        store = new DiskStore({ dir: env.TTS_CACHE_DIR || path.join(__dirname, '..', '..', '.cache', 'tts'), ...limits });
+    } else if (type === 'memory') {
+        store = new MemoryStore(limits);
+    } else {
+        throw new Error(`TTS_CACHE no válido: "${env.TTS_CACHE}". Usa memory, disk u off.`);
+    }
+    return new SynthesisCache(store, { ttlMs });
+}
+
+module.exports = { buildCacheKey, SynthesisCache, createCacheFromEnv, MemoryStore, DiskStore };
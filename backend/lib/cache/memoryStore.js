@@ -0,0 +1,52 @@
+// --- Almacén de caché en memoria (LRU) ---
+
+/**
+ * Guarda las entradas en un Map, cuyo orden de inserción sirve de orden LRU:
+ * cada lectura mueve la entrada al final y se expulsan las del principio
+ * cuando se superan `maxEntries` o `maxBytes`.
+ */
+class MemoryStore {
+    constructor({ maxEntries, maxBytes }) {
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.entries = new Map();
+        this.bytes = 0;
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    async set(key, entry) {
+        await this.delete(key);
+        this.entries.set(key, entry);
+        this.bytes += entry.data.length;
+        for (const oldestKey of this.entries.keys()) {
+            if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+            await this.delete(oldestKey);
+        }
+    }
+
+    async delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+        this.entries.delete(key);
+        this.bytes -= entry.data.length;
+        return true;
+    }
+
+    async clear() {
+        this.entries.clear();
+        this.bytes = 0;
+    }
+
+    async list() {
+        return [...this.entries].map(([key, { data, ...meta }]) => ({ key, size: data.length, ...meta }));
+    }
+}
+
+module.exports = { MemoryStore };
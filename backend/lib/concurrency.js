@@ -0,0 +1,28 @@
+/**
+ * Ejecuta `fn` sobre cada elemento con, como mucho, `limit` llamadas en vuelo.
+ * Devuelve los resultados en el mismo orden que `items`. Si alguna llamada
+ * falla se deja de lanzar trabajo nuevo y se rechaza con ese error.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = false;
+
+    const worker = async () => {
+        while (!failed && next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await fn(items[index], index);
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+module.exports = { mapWithConcurrency };
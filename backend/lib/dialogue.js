@@ -0,0 +1,68 @@
+// --- Guiones de diálogo con formato "Hablante: línea" ---
+
+const { chunkText } = require('./textChunker');
+
+const TURN_REGEX = /^\s*([^:\n]{1,40}?)\s*:\s*(.*)$/;
+
+/**
+ * Convierte un guion en una lista de turnos `{ speaker, text }`.
+ * Las líneas sin prefijo "Hablante:" continúan el turno anterior y las
+ * líneas vacías se ignoran.
+ */
+function parseDialogue(script) {
+    const turns = [];
+    for (const rawLine of script.replace(/\r\n?/g, '\n').split('\n')) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        const match = line.match(TURN_REGEX);
+        if (match && match[2].trim()) {
+            turns.push({ speaker: match[1], text: match[2].trim() });
+        } else if (turns.length > 0) {
+            turns[turns.length - 1].text += ` ${line}`;
+        } else {
+            const error = new Error(`La línea "${line}" no indica un hablante (usa "Nombre: texto").`);
+            error.status = 400;
+            throw error;
+        }
+    }
+    return turns;
+}
+
+function listSpeakers(turns) {
+    return [...new Set(turns.map(turn => turn.speaker))];
+}
+
+/**
+ * Agrupa turnos consecutivos en fragmentos de como mucho `maxChars`
+ * caracteres y con un máximo de `maxSpeakers` hablantes distintos cada uno,
+ * para poder sintetizarlos con una única petición multi-hablante.
+ */
+function groupTurns(turns, maxChars, maxSpeakers) {
+    // Los turnos demasiado largos se parten en oraciones del mismo hablante.
+    const pieces = turns.flatMap(turn => (turn.text.length > maxChars
+        ? chunkText(turn.text, maxChars).map(chunk => ({ speaker: turn.speaker, text: chunk.text }))
+        : [turn]));
+
+    const chunks = [];
+    let current = null;
+    for (const turn of pieces) {
+        const length = turn.speaker.length + 2 + turn.text.length;
+        const speakers = current ? new Set([...current.speakers, turn.speaker]) : null;
+        if (!current
+            || speakers.size > maxSpeakers
+            || current.length + 1 + length > maxChars) {
+            current = { turns: [], speakers: [], length: 0, paragraphEnd: true };
+            chunks.push(current);
+        }
+        current.turns.push(turn);
+        if (!current.speakers.includes(turn.speaker)) current.speakers.push(turn.speaker);
+        current.length += (current.turns.length > 1 ? 1 : 0) + length;
+    }
+    return chunks.map(({ turns: chunkTurns, speakers, paragraphEnd }) => ({
+        turns: chunkTurns,
+        speakers,
+        paragraphEnd,
+    }));
+}
+
+module.exports = { parseDialogue, listSpeakers, groupTurns };
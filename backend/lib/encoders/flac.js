@@ -0,0 +1,249 @@
+// --- Codificación FLAC (sin dependencias) ---
+// Codificador sencillo de 16 bits mono: cada bloque se guarda como subframe
+// CONSTANT (silencios) o FIXED con el predictor de orden 0-4 que deja los
+// residuos más pequeños, codificados con Rice por particiones.
+
+const crypto = require('crypto');
+
+const BLOCK_SIZE = 4096;
+const BITS_PER_SAMPLE = 16;
+const MAX_FIXED_ORDER = 4;
+const MAX_PARTITION_ORDER = 6;
+const MAX_RICE_PARAM = 14;
+
+// Códigos de frecuencia de muestreo de la cabecera de frame; el resto usa
+// el valor de STREAMINFO (código 0).
+const SAMPLE_RATE_CODES = {
+    8000: 0x4, 16000: 0x5, 22050: 0x6, 24000: 0x7,
+    32000: 0x8, 44100: 0x9, 48000: 0xa, 96000: 0xb,
+};
+
+class BitWriter {
+    constructor(capacity) {
+        this.bytes = Buffer.alloc(capacity);
+        this.length = 0;
+        this.acc = 0;
+        this.bits = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.bytes.length) return;
+        const grown = Buffer.alloc(Math.max(this.bytes.length * 2, this.length + extra));
+        this.bytes.copy(grown, 0, 0, this.length);
+        this.bytes = grown;
+    }
+
+    // Escribe los `count` bits menos significativos de `value` (count <= 24).
+    write(value, count) {
+        if (count === 0) return;
+        this.ensure(4);
+        this.acc = (this.acc << count) | (value & ((1 << count) - 1));
+        this.bits += count;
+        while (this.bits >= 8) {
+            this.bits -= 8;
+            this.bytes[this.length++] = (this.acc >>> this.bits) & 0xff;
+        }
+        this.acc &= (1 << this.bits) - 1;
+    }
+
+    writeUnary(zeros) {
+        while (zeros >= 16) {
+            this.write(0, 16);
+            zeros -= 16;
+        }
+        this.write(1, zeros + 1);
+    }
+
+    alignToByte() {
+        if (this.bits > 0) this.write(0, 8 - this.bits);
+    }
+
+    toBuffer() {
+        return this.bytes.subarray(0, this.length);
+    }
+}
+
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+    let crc8 = i;
+    let crc16 = i << 8;
+    for (let j = 0; j < 8; j++) {
+        crc8 = crc8 & 0x80 ? ((crc8 << 1) ^ 0x07) & 0xff : (crc8 << 1) & 0xff;
+        crc16 = crc16 & 0x8000 ? ((crc16 << 1) ^ 0x8005) & 0xffff : (crc16 << 1) & 0xffff;
+    }
+    CRC8_TABLE[i] = crc8;
+    CRC16_TABLE[i] = crc16;
+}
+
+function crc8(bytes) {
+    let crc = 0;
+    for (const byte of bytes) crc = CRC8_TABLE[crc ^ byte];
+    return crc;
+}
+
+function crc16(bytes) {
+    let crc = 0;
+    for (const byte of bytes) crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[(crc >> 8) ^ byte];
+    return crc;
+}
+
+// Número de frame en la codificación tipo UTF-8 que exige FLAC.
+function utf8Number(value) {
+    if (value < 0x80) return [value];
+    const bytes = [];
+    let prefixBits = 6;
+    while (value >= 1 << prefixBits) {
+        bytes.unshift(0x80 | (value & 0x3f));
+        value = Math.floor(value / 64);
+        prefixBits--;
+    }
+    const lead = (0xff << (7 - bytes.length)) & 0xff;
+    bytes.unshift(lead | value);
+    return bytes;
+}
+
+function fixedResiduals(block, order) {
+    const residuals = new Int32Array(block.length - order);
+    for (let i = order; i < block.length; i++) {
+        let prediction;
+        switch (order) {
+        case 0: prediction = 0; break;
+        case 1: prediction = block[i - 1]; break;
+        case 2: prediction = 2 * block[i - 1] - block[i - 2]; break;
+        case 3: prediction = 3 * block[i - 1] - 3 * block[i - 2] + block[i - 3]; break;
+        default: prediction = 4 * block[i - 1] - 6 * block[i - 2] + 4 * block[i - 3] - block[i - 4];
+        }
+        residuals[i - order] = block[i] - prediction;
+    }
+    return residuals;
+}
+
+function zigzag(value) {
+    return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+// Parámetro Rice óptimo y coste en bits de un tramo de residuos.
+function bestRiceParam(residuals, start, end) {
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += zigzag(residuals[i]);
+    const count = end - start;
+    let best = { param: 0, bits: Infinity };
+    for (let param = 0; param <= MAX_RICE_PARAM; param++) {
+        const bits = count * (param + 1) + Math.floor(sum / 2 ** param);
+        if (bits < best.bits) best = { param, bits };
+        if (sum / 2 ** param < count) break;
+    }
+    return best;
+}
+
+// Elige el orden de partición que minimiza el tamaño de los residuos.
+function planResiduals(residuals, blockSize, order) {
+    let best = null;
+    for (let partitionOrder = 0; partitionOrder <= MAX_PARTITION_ORDER; partitionOrder++) {
+        const partitions = 1 << partitionOrder;
+        if (blockSize % partitions !== 0 || blockSize / partitions <= order) break;
+        const partitionSize = blockSize / partitions;
+        const params = [];
+        let bits = 0;
+        let start = 0;
+        for (let p = 0; p < partitions; p++) {
+            const end = start + partitionSize - (p === 0 ? order : 0);
+            const { param, bits: partitionBits } = bestRiceParam(residuals, start, end);
+            params.push(param);
+            bits += 4 + partitionBits;
+            start = end;
+        }
+        if (!best || bits < best.bits) best = { partitionOrder, params, bits };
+    }
+    return best;
+}
+
+function writeSubframe(writer, block) {
+    const first = block[0];
+    if (block.every(sample => sample === first)) {
+        writer.write(0, 8);
+        writer.write(first, BITS_PER_SAMPLE);
+        return;
+    }
+
+    let best = null;
+    for (let order = 0; order <= Math.min(MAX_FIXED_ORDER, block.length - 1); order++) {
+        const residuals = fixedResiduals(block, order);
+        const plan = planResiduals(residuals, block.length, order);
+        if (!best || plan.bits < best.plan.bits) best = { order, residuals, plan };
+    }
+
+    const { order, residuals, plan } = best;
+    writer.write(0x10 | (order << 1), 8);
+    for (let i = 0; i < order; i++) writer.write(block[i], BITS_PER_SAMPLE);
+
+    writer.write(0, 2);
+    writer.write(plan.partitionOrder, 4);
+    let index = 0;
+    const partitionSize = block.length >> plan.partitionOrder;
+    plan.params.forEach((param, p) => {
+        writer.write(param, 4);
+        const end = index + partitionSize - (p === 0 ? order : 0);
+        for (; index < end; index++) {
+            const value = zigzag(residuals[index]);
+            writer.writeUnary(Math.floor(value / 2 ** param));
+            writer.write(value, param);
+        }
+    });
+}
+
+function writeFrame(block, frameNumber, sampleRate) {
+    const writer = new BitWriter(block.length * 2 + 64);
+    const rateCode = SAMPLE_RATE_CODES[sampleRate] || 0;
+
+    writer.write(0x3ffe, 14);
+    writer.write(0, 1);
+    writer.write(0, 1);
+    writer.write(0x7, 4);
+    writer.write(rateCode, 4);
+    writer.write(0, 4);
+    writer.write(0x4, 3);
+    writer.write(0, 1);
+    for (const byte of utf8Number(frameNumber)) writer.write(byte, 8);
+    writer.write(block.length - 1, 16);
+    writer.write(crc8(writer.toBuffer()), 8);
+
+    writeSubframe(writer, block);
+    writer.alignToByte();
+    writer.write(crc16(writer.toBuffer()), 16);
+    return Buffer.from(writer.toBuffer());
+}
+
+function streamInfo(samples, sampleRate, minFrameSize, maxFrameSize) {
+    const info = Buffer.alloc(4 + 34);
+    info.writeUInt8(0x80, 0);
+    info.writeUIntBE(34, 1, 3);
+    info.writeUInt16BE(Math.min(BLOCK_SIZE, Math.max(samples.length, 16)), 4);
+    info.writeUInt16BE(BLOCK_SIZE, 6);
+    info.writeUIntBE(minFrameSize, 8, 3);
+    info.writeUIntBE(maxFrameSize, 11, 3);
+    // Frecuencia (20 bits), canales - 1 (3), bits - 1 (5) y total de muestras (36).
+    const packed = (BigInt(sampleRate) << 44n)
+        | (0n << 41n)
+        | (BigInt(BITS_PER_SAMPLE - 1) << 36n)
+        | BigInt(samples.length);
+    info.writeBigUInt64BE(packed, 14);
+    crypto.createHash('md5')
+        .update(Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength))
+        .digest()
+        .copy(info, 22);
+    return info;
+}
+
+function encodeFlac(samples, sampleRate) {
+    const frames = [];
+    for (let offset = 0, n = 0; offset < samples.length; offset += BLOCK_SIZE, n++) {
+        frames.push(writeFrame(samples.subarray(offset, offset + BLOCK_SIZE), n, sampleRate));
+    }
+    const sizes = frames.map(frame => frame.length);
+    const header = streamInfo(samples, sampleRate, Math.min(...sizes, 0xffffff), Math.max(...sizes, 0));
+    return Buffer.concat([Buffer.from('fLaC', 'ascii'), header, ...frames]);
+}
+
+module.exports = { encodeFlac };
@@ -0,0 +1,54 @@
+// --- Exportación de audio a formatos comprimidos ---
+
+const { encodeMp3 } = require('./mp3');
+const { encodeOpus } = require('./opus');
+const { encodeFlac } = require('./flac');
+
+// Bitrates admitidos (kbps) por formato; el primero de la lista es el que se
+// usa por defecto. FLAC no tiene pérdidas, así que ignora el bitrate.
+const FORMATS = {
+    mp3: { contentType: 'audio/mpeg', extension: 'mp3', bitrates: [128, 64, 96, 160] },
+    opus: { contentType: 'audio/ogg; codecs=opus', extension: 'ogg', bitrates: [48, 24, 32, 64, 96] },
+    flac: { contentType: 'audio/flac', extension: 'flac', bitrates: [] },
+};
+
+function invalidInput(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Comprueba el formato y devuelve el bitrate (kbps) que se usará. Los lotes
+// lo llaman al crear el trabajo para no fallar después de sintetizar.
+function resolveBitrate(format, bitrate) {
+    const spec = FORMATS[format];
+    if (!spec) {
+        throw invalidInput(`Formato no admitido: "${format}". Usa ${Object.keys(FORMATS).join(', ')}.`);
+    }
+    const kbps = bitrate ? Number(bitrate) : spec.bitrates[0];
+    if (spec.bitrates.length > 0 && !spec.bitrates.includes(kbps)) {
+        throw invalidInput(`Bitrate no admitido para ${format}: ${bitrate}. Usa ${[...spec.bitrates].sort((a, b) => a - b).join(', ')} kbps.`);
+    }
+    return kbps;
+}
+
+/**
+ * Codifica PCM de 16 bits mono en el formato pedido.
+ * Devuelve `{ data, contentType, extension }`.
+ */
+async function encodeAudio(samples, sampleRate, { format, bitrate }) {
+    const spec = FORMATS[format];
+    const kbps = resolveBitrate(format, bitrate);
+
+    let data;
+    if (format === 'mp3') {
+        data = await encodeMp3(samples, sampleRate, kbps);
+    } else if (format === 'opus') {
+        data = encodeOpus(samples, sampleRate, kbps);
+    } else {
+        data = encodeFlac(samples, sampleRate);
+    }
+    return { data, contentType: spec.contentType, extension: spec.extension };
+}
+
+module.exports = { encodeAudio, resolveBitrate, FORMATS };
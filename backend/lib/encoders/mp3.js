@@ -0,0 +1,25 @@
+// --- Codificación MP3 con lamejs (JavaScript puro) ---
+
+const FRAME_SAMPLES = 1152;
+
+// lamejs solo se publica como módulo ES, así que lo cargamos bajo demanda.
+let lamejsPromise = null;
+function loadLamejs() {
+    if (!lamejsPromise) lamejsPromise = import('@breezystack/lamejs');
+    return lamejsPromise;
+}
+
+async function encodeMp3(samples, sampleRate, bitrate) {
+    const { Mp3Encoder } = await loadLamejs();
+    const encoder = new Mp3Encoder(1, sampleRate, bitrate);
+    const parts = [];
+    for (let offset = 0; offset < samples.length; offset += FRAME_SAMPLES) {
+        const encoded = encoder.encodeBuffer(samples.subarray(offset, offset + FRAME_SAMPLES));
+        if (encoded.length > 0) parts.push(Buffer.from(encoded.buffer, encoded.byteOffset, encoded.length));
+    }
+    const tail = encoder.flush();
+    if (tail.length > 0) parts.push(Buffer.from(tail.buffer, tail.byteOffset, tail.length));
+    return Buffer.concat(parts);
+}
+
+module.exports = { encodeMp3 };
@@ -0,0 +1,98 @@
+// --- Contenedor Ogg (RFC 3533) ---
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i << 24;
+        for (let j = 0; j < 8; j++) {
+            crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+        }
+        table[i] = crc >>> 0;
+    }
+    return table;
+})();
+
+function oggCrc(buffer) {
+    let crc = 0;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ buffer[i]) & 0xff]) >>> 0;
+    }
+    return crc;
+}
+
+const HEADER_TYPE = { CONTINUED: 0x01, BOS: 0x02, EOS: 0x04 };
+const MAX_SEGMENTS = 255;
+
+/**
+ * Escribe páginas Ogg de un único flujo lógico. Cada paquete se añade con
+ * la posición de granulo que tendrá al terminar; `flush` cierra la página
+ * actual para que los paquetes de cabecera vayan en páginas propias.
+ */
+class OggWriter {
+    constructor(serial = Math.floor(Math.random() * 0xffffffff)) {
+        this.serial = serial;
+        this.sequence = 0;
+        this.pages = [];
+        this.segments = [];
+        this.packets = [];
+        this.granule = 0;
+        this.pageHasPacketEnd = false;
+        this.continued = false;
+    }
+
+    addPacket(packet, granule) {
+        let remaining = packet.length;
+        let offset = 0;
+        // Un paquete se trocea en segmentos de 255 bytes; un segmento más
+        // corto (aunque sea de 0 bytes) marca su final.
+        while (true) {
+            if (this.segments.length === MAX_SEGMENTS) this.writePage(false);
+            const size = Math.min(remaining, 255);
+            this.segments.push(size);
+            this.packets.push(packet.subarray(offset, offset + size));
+            offset += size;
+            remaining -= size;
+            if (size < 255) break;
+        }
+        this.granule = granule;
+        this.pageHasPacketEnd = true;
+    }
+
+    flush() {
+        if (this.segments.length > 0) this.writePage(false);
+    }
+
+    finish() {
+        this.writePage(true);
+        return Buffer.concat(this.pages);
+    }
+
+    writePage(last) {
+        let headerType = this.continued ? HEADER_TYPE.CONTINUED : 0;
+        if (this.sequence === 0) headerType |= HEADER_TYPE.BOS;
+        if (last) headerType |= HEADER_TYPE.EOS;
+
+        const header = Buffer.alloc(27 + this.segments.length);
+        header.write('OggS', 0, 'ascii');
+        header.writeUInt8(0, 4);
+        header.writeUInt8(headerType, 5);
+        // Una página en la que no termina ningún paquete lleva granulo -1.
+        header.writeBigInt64LE(this.pageHasPacketEnd || last ? BigInt(this.granule) : -1n, 6);
+        header.writeUInt32LE(this.serial, 14);
+        header.writeUInt32LE(this.sequence++, 18);
+        header.writeUInt32LE(0, 22);
+        header.writeUInt8(this.segments.length, 26);
+        this.segments.forEach((size, i) => header.writeUInt8(size, 27 + i));
+
+        const page = Buffer.concat([header, ...this.packets]);
+        page.writeUInt32LE(oggCrc(page), 22);
+        this.pages.push(page);
+
+        this.continued = this.segments.length > 0 && this.segments[this.segments.length - 1] === 255;
+        this.pageHasPacketEnd = false;
+        this.segments = [];
+        this.packets = [];
+    }
+}
+
+module.exports = { OggWriter };
@@ -0,0 +1,71 @@
+// --- Codificación Opus en contenedor Ogg (RFC 7845) ---
+
+const OpusScript = require('opusscript');
+const { OggWriter } = require('./ogg');
+
+// Opus solo acepta estas frecuencias de entrada.
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+const FRAME_MS = 20;
+// Las posiciones de granulo de Opus siempre se expresan a 48 kHz.
+const GRANULE_RATE = 48000;
+// Retardo del codificador de libopus (6,5 ms) que el decodificador descarta.
+const PRE_SKIP = 312;
+
+function opusHead(inputSampleRate) {
+    const head = Buffer.alloc(19);
+    head.write('OpusHead', 0, 'ascii');
+    head.writeUInt8(1, 8);
+    head.writeUInt8(1, 9);
+    head.writeUInt16LE(PRE_SKIP, 10);
+    head.writeUInt32LE(inputSampleRate, 12);
+    head.writeInt16LE(0, 16);
+    head.writeUInt8(0, 18);
+    return head;
+}
+
+function opusTags() {
+    const vendor = Buffer.from('opusscript', 'utf8');
+    const tags = Buffer.alloc(8 + 4 + vendor.length + 4);
+    tags.write('OpusTags', 0, 'ascii');
+    tags.writeUInt32LE(vendor.length, 8);
+    vendor.copy(tags, 12);
+    tags.writeUInt32LE(0, 12 + vendor.length);
+    return tags;
+}
+
+function encodeOpus(samples, sampleRate, bitrate) {
+    if (!OPUS_SAMPLE_RATES.includes(sampleRate)) {
+        const error = new Error(`Opus no admite audio a ${sampleRate} Hz.`);
+        error.status = 400;
+        throw error;
+    }
+
+    const encoder = new OpusScript(sampleRate, 1, OpusScript.Application.AUDIO);
+    encoder.setBitrate(bitrate * 1000);
+
+    const ogg = new OggWriter();
+    ogg.addPacket(opusHead(sampleRate), 0);
+    ogg.flush();
+    ogg.addPacket(opusTags(), 0);
+    ogg.flush();
+
+    const frameSize = (sampleRate * FRAME_MS) / 1000;
+    const scale = GRANULE_RATE / sampleRate;
+    const frame = new Int16Array(frameSize);
+    try {
+        for (let offset = 0; offset < samples.length; offset += frameSize) {
+            // El último frame se rellena con silencio; el granulo final indica
+            // al decodificador cuántas muestras son reales.
+            frame.fill(0);
+            frame.set(samples.subarray(offset, offset + frameSize));
+            const packet = encoder.encode(Buffer.from(frame.buffer), frameSize);
+            const decoded = Math.min(offset + frameSize, samples.length);
+            ogg.addPacket(Buffer.from(packet), PRE_SKIP + decoded * scale);
+        }
+    } finally {
+        encoder.delete();
+    }
+    return ogg.finish();
+}
+
+module.exports = { encodeOpus };
@@ -0,0 +1,79 @@
+// --- Códigos de error estables ---
+// Todas las respuestas de error llevan { error, code }: `error` es un mensaje
+// para personas y puede cambiar; `code` es estable y es lo que debe mirar el
+// cliente para decidir qué mostrar y si tiene sentido reintentar.
+
+const ERROR_STATUS = {
+    INVALID_INPUT: 400,
+    UNAUTHORIZED: 401,
+    NOT_FOUND: 404,
+    CONFLICT: 409,
+    QUOTA_EXCEEDED: 429,
+    UPSTREAM_RATE_LIMITED: 429,
+    UPSTREAM_SAFETY_BLOCKED: 422,
+    NO_AUDIO: 502,
+    UPSTREAM_ERROR: 502,
+    PROVIDER_NOT_CONFIGURED: 503,
+    TIMEOUT: 504,
+    INTERNAL_ERROR: 500,
+};
+
+function apiError(code, message, { status = ERROR_STATUS[code], details, retryAfterSeconds } = {}) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    if (details) error.details = details;
+    if (retryAfterSeconds) error.retryAfterSeconds = retryAfterSeconds;
+    return error;
+}
+
+// Errores que puede merecer la pena repetir más tarde desde la cola de
+// trabajos. Los 429, 5xx, fallos de red y tiempos agotados ya los reintenta
+// fetchWithRetry (lib/providers/http) hasta agotar sus intentos, así que
+// cuando llegan aquí como UPSTREAM_RATE_LIMITED, UPSTREAM_ERROR o TIMEOUT no
+// se repiten otra vez. Un error interno es un fallo nuestro: repetirlo solo
+// retrasa el aviso.
+const RETRYABLE_CODES = new Set(['NO_AUDIO']);
+
+// Los errores creados sin código (o con un código del sistema como ENOENT)
+// se clasifican por su estado HTTP.
+function errorCode(error) {
+    if (Object.prototype.hasOwnProperty.call(ERROR_STATUS, error.code)) return error.code;
+    switch (error.status) {
+        case 400:
+        case 413:
+            return 'INVALID_INPUT';
+        case 401:
+            return 'UNAUTHORIZED';
+        case 404:
+            return 'NOT_FOUND';
+        case 409:
+            return 'CONFLICT';
+        case 429:
+            return 'QUOTA_EXCEEDED';
+        default:
+            return 'INTERNAL_ERROR';
+    }
+}
+
+const INTERNAL_MESSAGE = 'Error interno al procesar la solicitud.';
+
+// Cuerpo JSON de una respuesta o evento de error. Los errores inesperados
+// (sin código ni estado) no exponen su mensaje, que puede revelar detalles
+// internos; solo van al registro.
+function errorBody(error) {
+    const code = errorCode(error);
+    const isUnexpected = code === 'INTERNAL_ERROR' && error.code !== 'INTERNAL_ERROR';
+    return {
+        error: (!isUnexpected && error.message) || INTERNAL_MESSAGE,
+        code,
+        ...(error.details && { errors: error.details }),
+        ...(error.retryAfterSeconds && { retryAfterSeconds: error.retryAfterSeconds }),
+    };
+}
+
+function isRetryableError(error) {
+    return RETRYABLE_CODES.has(errorCode(error));
+}
+
+module.exports = { apiError, errorCode, errorBody, isRetryableError, ERROR_STATUS };
@@ -0,0 +1,135 @@
+// --- Cola de trabajos por lotes ---
+// Procesa los elementos de todos los trabajos en una cola en memoria con
+// concurrencia limitada. Los fallos transitorios (ver isRetryableError en
+// lib/errors) se reintentan con espera exponencial; el resto marca el
+// elemento como fallido sin detener el trabajo. Los trabajos terminados se
+// olvidan pasado `ttlMs`.
+
+const crypto = require('crypto');
+const { errorBody, isRetryableError: isRetryable } = require('./errors');
+
+class JobQueue {
+    /**
+     * `processItem(item, job)` sintetiza un elemento y devuelve su resultado,
+     * que queda guardado en `item.result` hasta que el trabajo caduca.
+     */
+    constructor({ processItem, concurrency = 2, maxRetries = 2, retryDelayMs = 1000, ttlMs = 3600 * 1000 }) {
+        this.processItem = processItem;
+        this.concurrency = concurrency;
+        this.maxRetries = maxRetries;
+        this.retryDelayMs = retryDelayMs;
+        this.ttlMs = ttlMs;
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+    }
+
+    create(items, options = {}) {
+        const job = {
+            id: crypto.randomUUID(),
+            createdAt: Date.now(),
+            finishedAt: null,
+            options,
+            items: items.map((input, index) => ({
+                index,
+                input,
+                status: 'queued',
+                attempts: 0,
+                error: null,
+                result: null,
+            })),
+        };
+        this.jobs.set(job.id, job);
+        this.pending.push(...job.items.map(item => ({ job, item })));
+        this.drain();
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    drain() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const { job, item } = this.pending.shift();
+            this.running++;
+            this.run(job, item).finally(() => {
+                this.running--;
+                this.drain();
+            });
+        }
+    }
+
+    async run(job, item) {
+        item.status = 'processing';
+        item.attempts++;
+        try {
+            item.result = await this.processItem(item, job);
+            item.status = 'done';
+            item.error = null;
+            item.errorCode = null;
+        } catch (error) {
+            // Mismo mensaje y código que vería el cliente en /api/generate-tts.
+            ({ error: item.error, code: item.errorCode } = errorBody(error));
+            if (item.attempts <= this.maxRetries && isRetryable(error)) {
+                // El elemento vuelve a la cola cuando termina la espera, sin
+                // ocupar mientras tanto un hueco de concurrencia.
+                item.status = 'queued';
+                const delay = this.retryDelayMs * 2 ** (item.attempts - 1);
+                setTimeout(() => {
+                    this.pending.push({ job, item });
+                    this.drain();
+                }, delay).unref();
+                return;
+            }
+            console.error(`Error en el elemento ${item.index} del trabajo ${job.id}:`, error);
+            item.status = 'failed';
+        }
+        this.finishIfDone(job);
+    }
+
+    finishIfDone(job) {
+        if (job.finishedAt || !job.items.every(item => item.status === 'done' || item.status === 'failed')) {
+            return;
+        }
+        job.finishedAt = Date.now();
+        setTimeout(() => this.jobs.delete(job.id), this.ttlMs).unref();
+    }
+}
+
+// Estado agregado: queued, processing, completed, completed_with_errors o failed.
+function jobStatus(job) {
+    const count = (status) => job.items.filter(item => item.status === status).length;
+    const done = count('done');
+    const failed = count('failed');
+    if (!job.finishedAt) {
+        return count('queued') === job.items.length ? 'queued' : 'processing';
+    }
+    if (failed === 0) return 'completed';
+    return done > 0 ? 'completed_with_errors' : 'failed';
+}
+
+// Vista pública del trabajo: sin el audio ni el texto completo de cada elemento.
+function describeJob(job) {
+    const count = (status) => job.items.filter(item => item.status === status).length;
+    return {
+        id: job.id,
+        status: jobStatus(job),
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        total: job.items.length,
+        completed: count('done'),
+        failed: count('failed'),
+        items: job.items.map(item => ({
+            index: item.index,
+            filename: item.input.filename,
+            status: item.status,
+            attempts: item.attempts,
+            error: item.error,
+            code: item.errorCode || undefined,
+            cached: item.result ? item.result.cached : undefined,
+        })),
+    };
+}
+
+module.exports = { JobQueue, jobStatus, describeJob, isRetryable };
@@ -0,0 +1,139 @@
+// --- Diccionario de pronunciación ---
+// Entradas { id, term, replacement, locale, caseSensitive } que la
+// normalización aplica antes que ninguna otra regla: "SQL" -> "esecuela",
+// "Nginx" -> "engine equis". `locale` null aplica la entrada en todos los
+// idiomas. Se guardan en un archivo JSON (o solo en memoria si `file` es null).
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { isLocale, SUPPORTED_LOCALES } = require('./normalization');
+
+const MAX_TERM_CHARS = 100;
+const MAX_REPLACEMENT_CHARS = 300;
+const MAX_ENTRIES = 1000;
+
+function lexiconError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Valida y limpia los campos de una entrada; lanza 400 si no son válidos.
+function validateEntry({ term, replacement, locale = null, caseSensitive = false }) {
+    if (typeof term !== 'string' || !term.trim()) {
+        throw lexiconError('Falta el parámetro "term".');
+    }
+    if (typeof replacement !== 'string' || !replacement.trim()) {
+        throw lexiconError('Falta el parámetro "replacement".');
+    }
+    if (term.trim().length > MAX_TERM_CHARS || replacement.trim().length > MAX_REPLACEMENT_CHARS) {
+        throw lexiconError(`El término admite ${MAX_TERM_CHARS} caracteres y la pronunciación ${MAX_REPLACEMENT_CHARS}.`);
+    }
+    if (locale !== null && !isLocale(locale)) {
+        throw lexiconError(`Idioma no admitido: "${locale}". Usa ${SUPPORTED_LOCALES.join(', ')} o null para todos.`);
+    }
+    return { term: term.trim(), replacement: replacement.trim(), locale, caseSensitive: Boolean(caseSensitive) };
+}
+
+function findEntry(entries, id) {
+    const entry = entries.find(other => other.id === id);
+    if (!entry) {
+        throw lexiconError('La entrada no existe en el diccionario.', 404);
+    }
+    return entry;
+}
+
+// Un mismo término solo puede tener una pronunciación por idioma.
+function assertUnique(entries, entry) {
+    const duplicate = entries.find(other => other.id !== entry.id
+        && other.locale === entry.locale
+        && other.term.toLowerCase() === entry.term.toLowerCase());
+    if (duplicate) {
+        throw lexiconError(`"${entry.term}" ya está en el diccionario para ese idioma.`, 409);
+    }
+}
+
+/**
+ * Los cambios se aplican de uno en uno: cada uno prepara una lista nueva, la
+ * escribe y solo entonces la adopta, así un fallo al escribir no deja la
+ * memoria distinta del archivo.
+ */
+class LexiconStore {
+    constructor({ file }) {
+        this.file = file;
+        this.entries = null;
+        this.queue = Promise.resolve();
+    }
+
+    async load() {
+        if (this.entries) return this.entries;
+        let entries = [];
+        if (this.file) {
+            try {
+                entries = JSON.parse(await fs.readFile(this.file, 'utf8')).entries || [];
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error(`No se pudo leer el diccionario (${this.file}):`, error.message);
+                }
+            }
+        }
+        this.entries = this.entries || entries;
+        return this.entries;
+    }
+
+    async list() {
+        return [...(await this.load())];
+    }
+
+    // Encola `change(entries)`, que devuelve { entries, result } sin modificar
+    // la lista recibida o lanza si el cambio no es válido.
+    mutate(change) {
+        const run = this.queue.then(async () => {
+            const { entries, result } = change(await this.load());
+            await this.save(entries);
+            this.entries = entries;
+            return result;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    create(fields) {
+        return this.mutate(entries => {
+            if (entries.length >= MAX_ENTRIES) {
+                throw lexiconError(`El diccionario admite como máximo ${MAX_ENTRIES} entradas.`);
+            }
+            const entry = { id: crypto.randomUUID(), ...validateEntry(fields) };
+            assertUnique(entries, entry);
+            return { entries: [...entries, entry], result: entry };
+        });
+    }
+
+    // Los campos que no se envían conservan su valor.
+    update(id, fields) {
+        return this.mutate(entries => {
+            const current = findEntry(entries, id);
+            const entry = { id, ...validateEntry({ ...current, ...fields }) };
+            assertUnique(entries, entry);
+            return { entries: entries.map(other => (other.id === id ? entry : other)), result: entry };
+        });
+    }
+
+    delete(id) {
+        return this.mutate(entries => {
+            findEntry(entries, id);
+            return { entries: entries.filter(entry => entry.id !== id), result: undefined };
+        });
+    }
+
+    async save(entries) {
+        if (!this.file) return;
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        const temporary = `${this.file}.tmp`;
+        await fs.writeFile(temporary, JSON.stringify({ entries }, null, 2));
+        await fs.rename(temporary, this.file);
+    }
+}
+
+module.exports = { LexiconStore };
@@ -0,0 +1,132 @@
+// --- Marcado ligero para prosodia ---
+//
+//   [pause 500ms] / [pause 1.5s]     silencio real de esa duración
+//   *texto*                          texto enfatizado
+//   {style: susurrando}...{/style}   estilo propio para ese tramo
+//   \*  \[  \]  \{  \}  \\           caracteres literales
+//
+// parseMarkup nunca lanza: devuelve los segmentos y la lista de errores con
+// su línea y columna (ambas desde 1) para mostrarlos antes de sintetizar.
+
+const MAX_PAUSE_MS = 10000;
+
+const PAUSE_REGEX = /^\s*(?:pause|pausa)\s+(\d+(?:\.\d+)?)\s*(ms|s)\s*$/i;
+const STYLE_OPEN_REGEX = /^\s*style\s*:(.*)$/i;
+const STYLE_CLOSE_REGEX = /^\s*\/\s*style\s*$/i;
+const ESCAPABLE = '*[]{}\\';
+
+function parseMarkup(source) {
+    const segments = [];
+    const errors = [];
+    let line = 1;
+    let column = 1;
+    let index = 0;
+    let buffer = '';
+    let style = null;
+    let emphasis = null;
+
+    const addError = (position, message) => errors.push({ ...position, message });
+
+    const advance = (count) => {
+        for (let i = 0; i < count; i++, index++) {
+            if (source[index] === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+        }
+    };
+
+    const flush = () => {
+        if (buffer) {
+            segments.push({ type: 'speech', text: buffer, style: style ? style.name : null, emphasis: Boolean(emphasis) });
+        }
+        buffer = '';
+    };
+
+    // Lee una etiqueta [..] o {..} de una sola línea; devuelve su contenido o
+    // null si no se cierra (y en ese caso la trata como texto literal).
+    const readTag = (open, close) => {
+        const position = { line, column };
+        const end = source.indexOf(close, index);
+        const newline = source.indexOf('\n', index);
+        if (end === -1 || (newline !== -1 && newline < end)) {
+            addError(position, `Falta "${close}" para cerrar la etiqueta abierta con "${open}".`);
+            buffer += open;
+            advance(1);
+            return null;
+        }
+        const content = source.slice(index + 1, end);
+        advance(end - index + 1);
+        return { content, position };
+    };
+
+    while (index < source.length) {
+        const char = source[index];
+        const position = { line, column };
+
+        if (char === '\\' && ESCAPABLE.includes(source[index + 1])) {
+            buffer += source[index + 1];
+            advance(2);
+        } else if (char === '*') {
+            flush();
+            emphasis = emphasis ? null : position;
+            advance(1);
+        } else if (char === '[') {
+            const tag = readTag('[', ']');
+            if (!tag) continue;
+            const match = tag.content.match(PAUSE_REGEX);
+            if (!match) {
+                addError(tag.position, `Etiqueta desconocida "[${tag.content}]". Usa [pause 500ms] o [pause 1s].`);
+                continue;
+            }
+            const ms = Math.round(parseFloat(match[1]) * (match[2].toLowerCase() === 's' ? 1000 : 1));
+            if (ms > MAX_PAUSE_MS) {
+                addError(tag.position, `La pausa no puede superar ${MAX_PAUSE_MS / 1000} s.`);
+                continue;
+            }
+            flush();
+            segments.push({ type: 'pause', ms });
+        } else if (char === '{') {
+            const tag = readTag('{', '}');
+            if (!tag) continue;
+            const open = tag.content.match(STYLE_OPEN_REGEX);
+            if (open) {
+                const name = open[1].trim();
+                if (!name) {
+                    addError(tag.position, 'Falta el nombre del estilo en {style: ...}.');
+                } else if (style) {
+                    addError(tag.position, `No se pueden anidar estilos: "${style.name}" sigue abierto desde la línea ${style.line}, columna ${style.column}.`);
+                } else {
+                    flush();
+                    style = { name, ...tag.position };
+                }
+            } else if (STYLE_CLOSE_REGEX.test(tag.content)) {
+                if (!style) {
+                    addError(tag.position, '{/style} no tiene un {style: ...} que cerrar.');
+                } else {
+                    flush();
+                    style = null;
+                }
+            } else {
+                addError(tag.position, `Directiva desconocida "{${tag.content}}". Usa {style: ...} y {/style}.`);
+            }
+        } else {
+            buffer += char;
+            advance(1);
+        }
+    }
+    flush();
+
+    if (emphasis) {
+        addError(emphasis, 'Falta el "*" que cierra el énfasis.');
+    }
+    if (style) {
+        addError({ line: style.line, column: style.column }, `Falta {/style} para cerrar el estilo "${style.name}".`);
+    }
+    errors.sort((a, b) => a.line - b.line || a.column - b.column);
+    return { segments, errors };
+}
+
+module.exports = { parseMarkup, MAX_PAUSE_MS };
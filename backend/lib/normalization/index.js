@@ -0,0 +1,275 @@
+// --- Normalización del texto antes de sintetizar ---
+//
+// Convierte a palabras lo que los modelos leen de forma irregular, en este
+// orden: diccionario de pronunciación del usuario, fechas, horas, importes,
+// porcentajes, ordinales, unidades, abreviaturas y, por último, el resto de
+// números. Cada paso deja intactos los espacios y la puntuación que no toca
+// para que la división en oraciones siga funcionando.
+
+const { LOCALES } = require('./locales');
+const { cardinal, decimal, ordinal, year } = require('./numbers');
+
+const DEFAULT_LOCALE = 'es';
+
+// Un número con separadores de miles o decimales, p. ej. 1.234,5 o 1,234.5.
+const NUMBER = String.raw`\d+(?:[.,]\d+)*`;
+// Sin letras ni cifras pegadas delante o detrás.
+const BEFORE = String.raw`(?<![\p{L}\p{N}])`;
+const AFTER = String.raw`(?![\p{L}\p{N}])`;
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function alternatives(symbols) {
+    return [...symbols].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+}
+
+function isLocale(locale) {
+    return Object.prototype.hasOwnProperty.call(LOCALES, locale);
+}
+
+/**
+ * Interpreta un número según los separadores del idioma. Devuelve
+ * { integer, fraction } (fraction es la cadena de decimales o null) o null si
+ * el formato no es válido, como en "1.2.3".
+ */
+function parseNumber(token, rules) {
+    const { thousandsSeparator, decimalSeparator } = rules;
+    const [integerText, fraction = null, ...extra] = token.split(decimalSeparator);
+    if (extra.length > 0) return null;
+
+    const groups = integerText.split(thousandsSeparator);
+    if (groups.length === 1) {
+        return { integer: Number(integerText), fraction };
+    }
+    const validThousands = groups[0].length <= 3 && groups.slice(1).every(group => group.length === 3);
+    if (validThousands) {
+        return { integer: Number(groups.join('')), fraction };
+    }
+    // "2.5" en español: un único separador que no agrupa miles es un decimal.
+    if (groups.length === 2 && fraction === null) {
+        return { integer: Number(groups[0]), fraction: groups[1] };
+    }
+    return null;
+}
+
+function numberToWords(token, locale, options) {
+    const parsed = parseNumber(token, LOCALES[locale]);
+    if (!parsed) return null;
+    if (parsed.fraction !== null) return decimal(parsed.integer, parsed.fraction, locale);
+    return cardinal(parsed.integer, locale, options);
+}
+
+// --- Pasos de la normalización ---
+
+// Una sola pasada para que una sustitución no vuelva a sustituirse ("Fe"
+// dentro de "Santa Fe de la Vera Cruz"). Los términos más largos van primero
+// para que "Santa Fe" gane a "Fe".
+function applyLexicon(text, entries) {
+    if (entries.length === 0) return text;
+    const sorted = [...entries].sort((a, b) => b.term.length - a.term.length);
+    const pattern = new RegExp(`${BEFORE}(?:${sorted.map(entry => escapeRegExp(entry.term)).join('|')})${AFTER}`, 'giu');
+    return text.replace(pattern, match => {
+        const entry = sorted.find(candidate => (candidate.caseSensitive
+            ? candidate.term === match
+            : candidate.term.toLowerCase() === match.toLowerCase()));
+        return entry ? entry.replacement : match;
+    });
+}
+
+function normalizeDates(text, locale) {
+    const rules = LOCALES[locale];
+    const format = (day, month, yearValue) => {
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+        const monthName = rules.months[month - 1];
+        if (locale === 'en') {
+            return `${monthName} ${ordinal(day, locale)}${yearValue ? `, ${year(yearValue, locale)}` : ''}`;
+        }
+        const dayWords = day === 1 ? 'primero' : cardinal(day, locale);
+        return `${dayWords} de ${monthName}${yearValue ? ` de ${year(yearValue, locale)}` : ''}`;
+    };
+    const fullYear = (value) => (value.length === 2 ? 2000 + Number(value) : Number(value));
+
+    let result = text.replace(new RegExp(`${BEFORE}(\\d{4})-(\\d{1,2})-(\\d{1,2})${AFTER}`, 'gu'), (match, y, m, d) => (
+        format(Number(d), Number(m), Number(y)) || match
+    ));
+    result = result.replace(new RegExp(`${BEFORE}(\\d{1,2})([/.-])(\\d{1,2})\\2(\\d{4}|\\d{2})${AFTER}`, 'gu'), (match, first, separator, second, y) => {
+        const [day, month] = rules.dayFirst ? [first, second] : [second, first];
+        return format(Number(day), Number(month), fullYear(y)) || match;
+    });
+    if (locale === 'en') {
+        // "October 19, 2026" / "October 19th".
+        const months = rules.months.join('|');
+        result = result.replace(new RegExp(`\\b(${months})\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?${AFTER}`, 'gu'), (match, month, day, y) => (
+            format(Number(day), rules.months.indexOf(month) + 1, y ? Number(y) : null) || match
+        ));
+    }
+    return result;
+}
+
+function normalizeTimes(text, locale) {
+    const pattern = new RegExp(`${BEFORE}([01]?\\d|2[0-3]):([0-5]\\d)(?![\\p{N}:])(?:\\s?(?:h|hs|hrs)\\b\\.?)?`, 'gu');
+    return text.replace(pattern, (match, hoursText, minutesText) => {
+        const hours = Number(hoursText);
+        const minutes = Number(minutesText);
+        if (locale === 'en') {
+            if (minutes === 0) return `${cardinal(hours, locale)} o'clock`;
+            return `${cardinal(hours, locale)} ${minutes < 10 ? `oh ${cardinal(minutes, locale)}` : cardinal(minutes, locale)}`;
+        }
+        const hourWords = cardinal(hours, locale, { feminine: true });
+        return minutes === 0 ? `${hourWords} en punto` : `${hourWords} y ${cardinal(minutes, locale)}`;
+    });
+}
+
+// En español "un millón de pesos": tras millón/millones va "de".
+function withUnitName(amountWords, name, locale) {
+    if (locale === 'es' && /(millón|millones)$/.test(amountWords)) return `${amountWords} de ${name}`;
+    return `${amountWords} ${name}`;
+}
+
+function normalizeCurrencies(text, locale) {
+    const rules = LOCALES[locale];
+    const bySymbol = new Map(rules.currencies.flatMap(currency => currency.symbols.map(symbol => [symbol, currency])));
+    const byName = new Map(rules.currencies.flatMap(currency => (currency.names || []).map(name => [name, currency])));
+    const symbols = alternatives(bySymbol.keys());
+    const amountWords = (token, currency) => {
+        const parsed = parseNumber(token, rules);
+        if (!parsed) return null;
+        const options = { apocope: true, feminine: currency.feminine };
+        const whole = cardinal(parsed.integer, locale, options);
+        if (whole === null) return null;
+        let words = withUnitName(whole, parsed.integer === 1 ? currency.singular : currency.plural, locale);
+        const cents = parsed.fraction && parsed.fraction.length <= 2 ? Number(parsed.fraction.padEnd(2, '0')) : 0;
+        if (cents > 0) {
+            const centWords = cardinal(cents, locale, { apocope: true });
+            words += ` ${locale === 'en' ? 'and' : 'con'} ${centWords} ${cents === 1 ? currency.cents[0] : currency.cents[1]}`;
+        } else if (parsed.fraction && /[1-9]/.test(parsed.fraction)) {
+            return null;
+        }
+        return words;
+    };
+
+    const prefix = new RegExp(`(?<![\\p{L}\\p{N}])(${symbols})\\s?(${NUMBER})${AFTER}`, 'gu');
+    const suffix = new RegExp(`${BEFORE}(${NUMBER})\\s?(${symbols})(?![\\p{L}\\p{N}$])`, 'gu');
+    const named = new RegExp(`${BEFORE}(${NUMBER})\\s(${alternatives(byName.keys())})${AFTER}`, 'gu');
+    return text
+        .replace(prefix, (match, symbol, token) => amountWords(token, bySymbol.get(symbol)) || match)
+        .replace(suffix, (match, token, symbol) => amountWords(token, bySymbol.get(symbol)) || match)
+        .replace(named, (match, token, name) => amountWords(token, byName.get(name)) || match);
+}
+
+function normalizePercentages(text, locale) {
+    const pattern = new RegExp(`${BEFORE}(${NUMBER})\\s?%`, 'gu');
+    return text.replace(pattern, (match, token) => {
+        const words = numberToWords(token, locale);
+        return words ? `${words} ${LOCALES[locale].percent}` : match;
+    });
+}
+
+function normalizeOrdinals(text, locale) {
+    if (locale === 'en') {
+        return text.replace(new RegExp(`${BEFORE}(\\d+)(?:st|nd|rd|th)${AFTER}`, 'gu'), (match, n) => ordinal(Number(n), locale));
+    }
+    // "1.º", "2ª", "3er". "º" tras números mayores de 10 se deja para las
+    // unidades, donde suele indicar grados.
+    return text
+        .replace(new RegExp(`${BEFORE}(\\d{1,2})\\.?ª`, 'gu'), (match, n) => ordinal(Number(n), locale, { feminine: true }))
+        .replace(new RegExp(`${BEFORE}(10|[1-9])\\.?º(?![CF])`, 'gu'), (match, n, offset, source) => {
+            // "primero"/"tercero" se apocopan delante del sustantivo: 3.º piso -> tercer piso.
+            const words = ordinal(Number(n), locale);
+            const beforeNoun = followingNoun(source.slice(offset + match.length)) !== null;
+            return beforeNoun ? words.replace(/^(primer|tercer)o$/, '$1') : words;
+        })
+        .replace(new RegExp(`${BEFORE}([13])er${AFTER}`, 'gu'), (match, n) => (n === '1' ? 'primer' : 'tercer'));
+}
+
+function normalizeUnits(text, locale) {
+    const rules = LOCALES[locale];
+    const bySymbol = new Map(rules.units.flatMap(unit => unit.symbols.map(symbol => [symbol, unit])));
+    const pattern = new RegExp(`${BEFORE}(-?)(${NUMBER})\\s?(${alternatives(bySymbol.keys())})(?![\\p{L}\\p{N}/])`, 'gu');
+    return text.replace(pattern, (match, minus, token, symbol) => {
+        const unit = bySymbol.get(symbol);
+        const parsed = parseNumber(token, rules);
+        const words = numberToWords(token, locale, { apocope: true, feminine: unit.feminine });
+        if (!words) return match;
+        const isOne = parsed.integer === 1 && parsed.fraction === null;
+        return `${minus ? `${rules.minus} ` : ''}${withUnitName(words, isOne ? unit.singular : unit.plural, locale)}`;
+    });
+}
+
+function normalizeAbbreviations(text, locale) {
+    return LOCALES[locale].abbreviations.reduce((current, abbreviation) => {
+        const lookahead = abbreviation.beforeNumber ? '(?=\\s*\\d)' : '';
+        const pattern = new RegExp(`${BEFORE}${escapeRegExp(abbreviation.pattern)}${lookahead}`, 'gu');
+        return current.replace(pattern, (match, offset, source) => {
+            const rest = source.slice(offset + match.length);
+            const endsSentence = abbreviation.sentenceEnd && /^(\s*$|\s+\p{Lu})/u.test(rest);
+            return endsSentence ? `${abbreviation.expansion}.` : abbreviation.expansion;
+        });
+    }, text);
+}
+
+// Palabras que pueden seguir a un número sin ser lo que se cuenta: "el 1 de
+// mayo", "1 y medio".
+const FUNCTION_WORDS = new Set(['de', 'del', 'y', 'e', 'o', 'u', 'a', 'al', 'en', 'con', 'por', 'para', 'que', 'entre', 'más', 'menos']);
+
+// La palabra que sigue al número si puede ser un sustantivo; si no, null.
+function followingNoun(following) {
+    const word = following.match(/^\s+(\p{L}+)/u)?.[1];
+    return word && !FUNCTION_WORDS.has(word.toLowerCase()) ? word : null;
+}
+
+// Sustantivos masculinos terminados en "a" (un día, no una día).
+const MASCULINE_A_NOUNS = new Set(['día', 'días', 'mapa', 'mapas', 'problema', 'problemas', 'tema', 'temas', 'sistema', 'sistemas', 'idioma', 'idiomas', 'programa', 'programas', 'planeta', 'planetas', 'clima', 'climas']);
+
+// En español "uno" delante de un sustantivo concuerda con él: "un año",
+// "una hora", "veintiún días". El género se deduce de la terminación.
+function agreeWithNoun(words, following) {
+    const noun = followingNoun(following);
+    if (!noun || !/uno$/.test(words)) return words;
+    const word = noun.toLowerCase();
+    const feminine = /as?$/.test(word) && !MASCULINE_A_NOUNS.has(word);
+    return feminine ? words.replace(/uno$/, 'una') : words.replace(/veintiuno$/, 'veintiún').replace(/uno$/, 'un');
+}
+
+function normalizeNumbers(text, locale) {
+    const rules = LOCALES[locale];
+    const pattern = new RegExp(`(?:(?<=^|[\\s(])(-))?${BEFORE}(${NUMBER})${AFTER}`, 'gu');
+    return text.replace(pattern, (match, minus, token, offset, source) => {
+        let words = numberToWords(token, locale);
+        if (words === null) {
+            // Formato no reconocido (p. ej. una versión 1.2.3): grupo a grupo.
+            const separators = locale === 'en' ? { '.': 'point', ',': 'comma' } : { '.': 'punto', ',': 'coma' };
+            return match.replace(/\d+|[.,]/g, part => separators[part] ? ` ${separators[part]} ` : cardinal(Number(part), locale) || part)
+                .replace(/\s+/g, ' ').trim();
+        }
+        if (locale === 'es' && parseNumber(token, rules).fraction === null) {
+            const following = source.slice(offset + match.length);
+            words = agreeWithNoun(words, following);
+            // "un millón de personas", como con las unidades y las monedas.
+            if (followingNoun(following) && /(millón|millones)$/.test(words)) words += ' de';
+        }
+        return minus ? `${rules.minus} ${words}` : words;
+    });
+}
+
+/**
+ * Normaliza `text` para el idioma `locale` ('es' o 'en'). `lexicon` es la
+ * lista de entradas del diccionario de pronunciación; solo se aplican las
+ * de ese idioma o sin idioma.
+ */
+function normalizeText(text, { locale = DEFAULT_LOCALE, lexicon = [] } = {}) {
+    const entries = lexicon.filter(entry => !entry.locale || entry.locale === locale);
+    let result = applyLexicon(text, entries);
+    result = normalizeDates(result, locale);
+    result = normalizeTimes(result, locale);
+    result = normalizeCurrencies(result, locale);
+    result = normalizePercentages(result, locale);
+    result = normalizeOrdinals(result, locale);
+    result = normalizeUnits(result, locale);
+    result = normalizeAbbreviations(result, locale);
+    return normalizeNumbers(result, locale);
+}
+
+module.exports = { normalizeText, isLocale, DEFAULT_LOCALE, SUPPORTED_LOCALES: Object.keys(LOCALES) };
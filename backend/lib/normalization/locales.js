@@ -0,0 +1,122 @@
+// --- Datos de normalización por idioma ---
+
+const es = {
+    thousandsSeparator: '.',
+    decimalSeparator: ',',
+    months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+    minus: 'menos',
+    percent: 'por ciento',
+    // Formato de las fechas numéricas: día/mes/año.
+    dayFirst: true,
+    // `names`: el nombre escrito detrás de la cifra ("12.50 euros"); solo
+    // cuenta como moneda en esa posición.
+    currencies: [
+        { symbols: ['US$', 'U$S', 'USD'], names: ['dólares', 'dólar'], singular: 'dólar', plural: 'dólares', cents: ['centavo', 'centavos'] },
+        { symbols: ['$', 'ARS', 'MXN'], singular: 'peso', plural: 'pesos', cents: ['centavo', 'centavos'] },
+        { symbols: ['€', 'EUR'], names: ['euros', 'euro'], singular: 'euro', plural: 'euros', cents: ['céntimo', 'céntimos'] },
+        { symbols: ['£', 'GBP'], singular: 'libra', plural: 'libras', cents: ['penique', 'peniques'], feminine: true },
+    ],
+    units: [
+        { symbols: ['km/h'], singular: 'kilómetro por hora', plural: 'kilómetros por hora' },
+        { symbols: ['km'], singular: 'kilómetro', plural: 'kilómetros' },
+        { symbols: ['cm'], singular: 'centímetro', plural: 'centímetros' },
+        { symbols: ['mm'], singular: 'milímetro', plural: 'milímetros' },
+        { symbols: ['m'], singular: 'metro', plural: 'metros' },
+        { symbols: ['kg'], singular: 'kilo', plural: 'kilos' },
+        { symbols: ['g', 'gr'], singular: 'gramo', plural: 'gramos' },
+        { symbols: ['ml'], singular: 'mililitro', plural: 'mililitros' },
+        { symbols: ['l', 'L'], singular: 'litro', plural: 'litros' },
+        { symbols: ['°C', 'ºC'], singular: 'grado centígrado', plural: 'grados centígrados' },
+        { symbols: ['°F', 'ºF'], singular: 'grado Fahrenheit', plural: 'grados Fahrenheit' },
+        { symbols: ['°', 'º'], singular: 'grado', plural: 'grados' },
+        { symbols: ['h', 'hs'], singular: 'hora', plural: 'horas', feminine: true },
+        { symbols: ['min'], singular: 'minuto', plural: 'minutos' },
+        { symbols: ['s', 'seg'], singular: 'segundo', plural: 'segundos' },
+        { symbols: ['GB'], singular: 'gigabyte', plural: 'gigabytes' },
+        { symbols: ['MB'], singular: 'megabyte', plural: 'megabytes' },
+        { symbols: ['kWh'], singular: 'kilovatio hora', plural: 'kilovatios hora' },
+    ],
+    // `sentenceEnd`: conserva el punto si la abreviatura cierra la oración.
+    abbreviations: [
+        { pattern: 'Sr.', expansion: 'señor' },
+        { pattern: 'Sra.', expansion: 'señora' },
+        { pattern: 'Srta.', expansion: 'señorita' },
+        { pattern: 'Sres.', expansion: 'señores' },
+        { pattern: 'Dr.', expansion: 'doctor' },
+        { pattern: 'Dra.', expansion: 'doctora' },
+        { pattern: 'Lic.', expansion: 'licenciado' },
+        { pattern: 'Ing.', expansion: 'ingeniero' },
+        { pattern: 'Prof.', expansion: 'profesor' },
+        { pattern: 'Av.', expansion: 'avenida' },
+        { pattern: 'Avda.', expansion: 'avenida' },
+        { pattern: 'pág.', expansion: 'página' },
+        { pattern: 'págs.', expansion: 'páginas' },
+        { pattern: 'núm.', expansion: 'número' },
+        { pattern: 'n.º', expansion: 'número' },
+        { pattern: 'Nº', expansion: 'número' },
+        { pattern: 'nº', expansion: 'número' },
+        { pattern: 'tel.', expansion: 'teléfono' },
+        { pattern: 'aprox.', expansion: 'aproximadamente' },
+        { pattern: 'p. ej.', expansion: 'por ejemplo' },
+        { pattern: 'EE. UU.', expansion: 'Estados Unidos' },
+        { pattern: 'EE.UU.', expansion: 'Estados Unidos' },
+        { pattern: 'etc.', expansion: 'etcétera', sentenceEnd: true },
+    ],
+};
+
+const en = {
+    thousandsSeparator: ',',
+    decimalSeparator: '.',
+    months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+    minus: 'minus',
+    percent: 'percent',
+    // Formato de las fechas numéricas: mes/día/año.
+    dayFirst: false,
+    currencies: [
+        { symbols: ['US$', 'USD', '$'], names: ['dollars', 'dollar'], singular: 'dollar', plural: 'dollars', cents: ['cent', 'cents'] },
+        { symbols: ['€', 'EUR'], names: ['euros', 'euro'], singular: 'euro', plural: 'euros', cents: ['cent', 'cents'] },
+        { symbols: ['£', 'GBP'], singular: 'pound', plural: 'pounds', cents: ['penny', 'pence'] },
+        { symbols: ['ARS', 'MXN'], singular: 'peso', plural: 'pesos', cents: ['centavo', 'centavos'] },
+    ],
+    units: [
+        { symbols: ['km/h'], singular: 'kilometer per hour', plural: 'kilometers per hour' },
+        { symbols: ['mph'], singular: 'mile per hour', plural: 'miles per hour' },
+        { symbols: ['km'], singular: 'kilometer', plural: 'kilometers' },
+        { symbols: ['cm'], singular: 'centimeter', plural: 'centimeters' },
+        { symbols: ['mm'], singular: 'millimeter', plural: 'millimeters' },
+        { symbols: ['m'], singular: 'meter', plural: 'meters' },
+        { symbols: ['mi'], singular: 'mile', plural: 'miles' },
+        { symbols: ['ft'], singular: 'foot', plural: 'feet' },
+        { symbols: ['kg'], singular: 'kilogram', plural: 'kilograms' },
+        { symbols: ['g'], singular: 'gram', plural: 'grams' },
+        { symbols: ['lb', 'lbs'], singular: 'pound', plural: 'pounds' },
+        { symbols: ['oz'], singular: 'ounce', plural: 'ounces' },
+        { symbols: ['ml'], singular: 'milliliter', plural: 'milliliters' },
+        { symbols: ['l', 'L'], singular: 'liter', plural: 'liters' },
+        { symbols: ['°C', 'ºC'], singular: 'degree Celsius', plural: 'degrees Celsius' },
+        { symbols: ['°F', 'ºF'], singular: 'degree Fahrenheit', plural: 'degrees Fahrenheit' },
+        { symbols: ['°', 'º'], singular: 'degree', plural: 'degrees' },
+        { symbols: ['h', 'hr', 'hrs'], singular: 'hour', plural: 'hours' },
+        { symbols: ['min'], singular: 'minute', plural: 'minutes' },
+        { symbols: ['s', 'sec'], singular: 'second', plural: 'seconds' },
+        { symbols: ['GB'], singular: 'gigabyte', plural: 'gigabytes' },
+        { symbols: ['MB'], singular: 'megabyte', plural: 'megabytes' },
+        { symbols: ['kWh'], singular: 'kilowatt hour', plural: 'kilowatt hours' },
+    ],
+    abbreviations: [
+        { pattern: 'Mr.', expansion: 'mister' },
+        { pattern: 'Mrs.', expansion: 'missus' },
+        { pattern: 'Ms.', expansion: 'miz' },
+        { pattern: 'Dr.', expansion: 'doctor' },
+        { pattern: 'Prof.', expansion: 'professor' },
+        { pattern: 'Ave.', expansion: 'avenue' },
+        { pattern: 'approx.', expansion: 'approximately' },
+        { pattern: 'e.g.', expansion: 'for example' },
+        { pattern: 'i.e.', expansion: 'that is' },
+        { pattern: 'vs.', expansion: 'versus' },
+        { pattern: 'No.', expansion: 'number', beforeNumber: true },
+        { pattern: 'etc.', expansion: 'et cetera', sentenceEnd: true },
+    ],
+};
+
+module.exports = { LOCALES: { es, en } };
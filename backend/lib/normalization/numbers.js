@@ -0,0 +1,140 @@
+// --- Números en palabras (español e inglés) ---
+// Enteros hasta 999 999 999 999 y decimales leídos cifra a cifra.
+
+const ES_UNITS = [
+    'cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve',
+    'diez', 'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve',
+    'veinte', 'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis', 'veintisiete', 'veintiocho', 'veintinueve',
+];
+const ES_TENS = ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+const ES_HUNDREDS = ['', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos', 'seiscientos', 'setecientos', 'ochocientos', 'novecientos'];
+
+const EN_UNITS = [
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+    'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen',
+];
+const EN_TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+const MAX_NUMBER = 999999999999;
+
+// "uno" pierde la o delante de un sustantivo o de "mil"/"millones":
+// veintiuno -> veintiún, treinta y uno -> treinta y un.
+function apocopate(words) {
+    return words.replace(/veintiuno$/, 'veintiún').replace(/uno$/, 'un');
+}
+
+function spanishBelowThousand(n) {
+    if (n === 100) return 'cien';
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    const parts = [];
+    if (hundreds) parts.push(ES_HUNDREDS[hundreds]);
+    if (rest >= 30) {
+        parts.push(rest % 10 ? `${ES_TENS[Math.floor(rest / 10)]} y ${ES_UNITS[rest % 10]}` : ES_TENS[rest / 10]);
+    } else if (rest > 0 || !hundreds) {
+        parts.push(ES_UNITS[rest]);
+    }
+    return parts.join(' ');
+}
+
+function spanishCardinal(n) {
+    if (n < 1000) return spanishBelowThousand(n);
+    if (n < 1000000) {
+        const thousands = Math.floor(n / 1000);
+        const rest = n % 1000;
+        const head = thousands === 1 ? 'mil' : `${apocopate(spanishBelowThousand(thousands))} mil`;
+        return rest ? `${head} ${spanishBelowThousand(rest)}` : head;
+    }
+    const millions = Math.floor(n / 1000000);
+    const rest = n % 1000000;
+    const head = millions === 1 ? 'un millón' : `${apocopate(spanishCardinal(millions))} millones`;
+    return rest ? `${head} ${spanishCardinal(rest)}` : head;
+}
+
+function englishBelowThousand(n) {
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    const parts = [];
+    if (hundreds) parts.push(`${EN_UNITS[hundreds]} hundred`);
+    if (rest >= 20) {
+        parts.push(rest % 10 ? `${EN_TENS[Math.floor(rest / 10)]}-${EN_UNITS[rest % 10]}` : EN_TENS[rest / 10]);
+    } else if (rest > 0 || !hundreds) {
+        parts.push(EN_UNITS[rest]);
+    }
+    return parts.join(' ');
+}
+
+function englishCardinal(n) {
+    const scales = [[1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']];
+    const parts = [];
+    let rest = n;
+    for (const [value, name] of scales) {
+        if (rest >= value) {
+            parts.push(`${englishBelowThousand(Math.floor(rest / value))} ${name}`);
+            rest %= value;
+        }
+    }
+    if (rest > 0 || parts.length === 0) parts.push(englishBelowThousand(rest));
+    return parts.join(' ');
+}
+
+/**
+ * Entero (no negativo) en palabras. Con `apocope` en español usa "un"
+ * (un kilómetro, veintiún años) y con `feminine` "una" (una hora).
+ */
+function cardinal(n, locale, { apocope = false, feminine = false } = {}) {
+    if (n > MAX_NUMBER) return null;
+    if (locale === 'en') return englishCardinal(n);
+    const words = spanishCardinal(n);
+    if (feminine) return words.replace(/uno$/, 'una');
+    return apocope ? apocopate(words) : words;
+}
+
+function digits(value, locale) {
+    return [...value].map(digit => cardinal(Number(digit), locale)).join(' ');
+}
+
+// Decimales: "3,25" -> "tres coma veinticinco" (en español una o dos cifras
+// sin cero inicial se leen como número); "3.25" -> "three point two five".
+function decimal(integerPart, fractionPart, locale) {
+    const whole = cardinal(integerPart, locale);
+    if (whole === null) return null;
+    if (locale === 'en') return `${whole} point ${digits(fractionPart, locale)}`;
+    const fraction = fractionPart.length <= 2 && !fractionPart.startsWith('0')
+        ? cardinal(Number(fractionPart), locale)
+        : digits(fractionPart, locale);
+    return `${whole} coma ${fraction}`;
+}
+
+const EN_ORDINAL_EXCEPTIONS = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+
+function englishOrdinal(n) {
+    return englishCardinal(n).replace(/([a-z]+)$/, (word) => {
+        if (EN_ORDINAL_EXCEPTIONS[word]) return EN_ORDINAL_EXCEPTIONS[word];
+        return word.endsWith('y') ? `${word.slice(0, -1)}ieth` : `${word}th`;
+    });
+}
+
+const ES_ORDINALS = ['', 'primer', 'segund', 'tercer', 'cuart', 'quint', 'sext', 'séptim', 'octav', 'noven', 'décim'];
+
+// Ordinales: en inglés cualquiera; en español del 1 al 10 (el resto se lee
+// como cardinal, que es lo habitual a partir de ahí).
+function ordinal(n, locale, { feminine = false } = {}) {
+    if (locale === 'en') return englishOrdinal(n);
+    if (n >= 1 && n <= 10) return ES_ORDINALS[n] + (feminine ? 'a' : 'o');
+    return cardinal(n, locale, { feminine });
+}
+
+// Años en inglés por parejas: 1999 -> nineteen ninety-nine, 2026 -> twenty
+// twenty-six; 2000-2009 se leen como cardinales.
+function year(n, locale) {
+    if (locale !== 'en' || n < 1100 || n > 2099 || (n >= 2000 && n < 2010)) {
+        return cardinal(n, locale);
+    }
+    const high = Math.floor(n / 100);
+    const low = n % 100;
+    if (low === 0) return `${englishCardinal(high)} hundred`;
+    return `${englishCardinal(high)} ${low < 10 ? `oh ${EN_UNITS[low]}` : englishCardinal(low)}`;
+}
+
+module.exports = { cardinal, decimal, ordinal, year, MAX_NUMBER };
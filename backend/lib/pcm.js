@@ -0,0 +1,55 @@
+// --- Utilidades para audio PCM de 16 bits mono ---
+
+const DEFAULT_SAMPLE_RATE = 24000;
+const BYTES_PER_SAMPLE = 2;
+
+function parseSampleRate(mimeType) {
+    const match = mimeType && mimeType.match(/rate=(\d+)/);
+    return match ? parseInt(match[1], 10) : DEFAULT_SAMPLE_RATE;
+}
+
+function silence(ms, sampleRate = DEFAULT_SAMPLE_RATE) {
+    const samples = Math.round((ms / 1000) * sampleRate);
+    return Buffer.alloc(samples * BYTES_PER_SAMPLE);
+}
+
+function durationMs(pcm, sampleRate = DEFAULT_SAMPLE_RATE) {
+    return (pcm.length / BYTES_PER_SAMPLE / sampleRate) * 1000;
+}
+
+// Copia el buffer a un Int16Array alineado (los Buffer de Node pueden
+// empezar en un offset impar dentro de su ArrayBuffer).
+function toSamples(buffer) {
+    const bytes = buffer.length - (buffer.length % BYTES_PER_SAMPLE);
+    const copy = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + bytes);
+    return new Int16Array(copy);
+}
+
+// Envuelve el PCM en un fichero WAV (cabecera RIFF de 44 bytes).
+function pcmToWav(pcm, sampleRate = DEFAULT_SAMPLE_RATE) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * BYTES_PER_SAMPLE, 28);
+    header.writeUInt16LE(BYTES_PER_SAMPLE, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+}
+
+module.exports = {
+    DEFAULT_SAMPLE_RATE,
+    BYTES_PER_SAMPLE,
+    parseSampleRate,
+    silence,
+    durationMs,
+    toSamples,
+    pcmToWav,
+};
@@ -0,0 +1,158 @@
+// --- Proveedor Gemini (gemini-2.5-flash-preview-tts) ---
+
+const { fetchWithRetry } = require('./http');
+const { apiError } = require('../errors');
+
+const MODEL = 'gemini-2.5-flash-preview-tts';
+// Se puede apuntar a un proxy o a un servidor local de pruebas.
+const API_BASE_URL = process.env.GEMINI_API_URL || 'https://generativelanguage.googleapis.com/v1beta';
+
+// Motivos de bloqueo por los filtros de seguridad de Gemini.
+const SAFETY_REASONS = ['SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'];
+
+const VOICES = [
+    { value: 'Zephyr', label: 'Zephyr (Brillante, Femenina)' },
+    { value: 'Puck', label: 'Puck (Animada, Masculina)' },
+    { value: 'Charon', label: 'Charon (Informativa, Masculina)' },
+    { value: 'Kore', label: 'Kore (Firme, Femenina)' },
+    { value: 'Fenrir', label: 'Fenrir (Entusiasta, Masculina)' },
+    { value: 'Leda', label: 'Leda (Juvenil, Femenina)' },
+    { value: 'Orus', label: 'Orus (Firme, Masculina)' },
+    { value: 'Aoede', label: 'Aoede (Alegre, Femenina)' },
+    { value: 'Sadachbia', label: 'Sadachbia (Vivaz, Femenina)' },
+    { value: 'Sulafat', label: 'Sulafat (Cálida, Femenina)' },
+];
+
+// --- Construcción de las peticiones ---
+// Las instrucciones de estilo se repiten en cada fragmento para que la voz y
+// el estilo no varíen a lo largo del audio. La velocidad no se pide al modelo:
+// el cliente la aplica sobre el PCM.
+function buildInstruction(style, emphasis) {
+    let instruction = '';
+    if (style && style.trim() !== '') {
+        instruction += `Dilo ${style}. `;
+    }
+    if (emphasis) {
+        instruction += 'Enfatiza estas palabras. ';
+    }
+    return instruction;
+}
+
+function singleVoiceConfig(voice) {
+    return { voiceConfig: { prebuiltVoiceConfig: { voiceName: voice } } };
+}
+
+// Devuelve el prompt y el speechConfig. Las peticiones con turnos de dos
+// hablantes usan la configuración multi-hablante de Gemini.
+function buildRequest({ text, voice, turns, speakerVoices, style, emphasis }) {
+    const instruction = buildInstruction(style, emphasis);
+
+    if (!turns) {
+        return { prompt: instruction + `Di esto: ${text}`, speechConfig: singleVoiceConfig(voice) };
+    }
+
+    const speakers = Object.keys(speakerVoices);
+    const lines = turns.map(turn => `${turn.speaker}: ${turn.text}`).join('\n');
+    return {
+        prompt: instruction + `Lee esta conversación entre ${speakers.join(' y ')}:\n${lines}`,
+        speechConfig: {
+            multiSpeakerVoiceConfig: {
+                speakerVoiceConfigs: speakers.map(speaker => ({
+                    speaker,
+                    ...singleVoiceConfig(speakerVoices[speaker]),
+                })),
+            },
+        },
+    };
+}
+
+// El mensaje de un error de Gemini ({ error: { message } }) o, si el cuerpo
+// no es JSON, un resumen; el cuerpo completo solo va al registro.
+function upstreamMessage(body) {
+    try {
+        return JSON.parse(body).error.message;
+    } catch {
+        return body.slice(0, 200);
+    }
+}
+
+// Traduce una respuesta de error de Gemini (tras agotar los reintentos) a
+// un error con código estable.
+function responseError(response, body) {
+    const { status } = response;
+    console.error(`Error de la API de Google (HTTP ${status}):`, body);
+    const detail = upstreamMessage(body);
+    if (status === 429) {
+        const retryAfterSeconds = parseInt(response.headers.get('retry-after'), 10) || 30;
+        return apiError('UPSTREAM_RATE_LIMITED', 'Google está limitando las peticiones. Espera un momento y vuelve a intentarlo.', { retryAfterSeconds });
+    }
+    if (status === 400) {
+        return apiError('INVALID_INPUT', `Google rechazó la petición: ${detail}`);
+    }
+    if (status === 401 || status === 403) {
+        return apiError('UPSTREAM_ERROR', 'La clave de API de Google configurada en el servidor no es válida o no tiene permiso.');
+    }
+    return apiError('UPSTREAM_ERROR', `Error en la API de Google (HTTP ${status}): ${detail}`);
+}
+
+// Sintetiza una petición y devuelve el PCM crudo.
+async function synthesize(request) {
+    const apiKey = process.env.GOOGLE_API_KEY;
+    const apiUrl = `${API_BASE_URL}/models/${MODEL}:generateContent?key=${apiKey}`;
+    const { prompt, speechConfig } = buildRequest(request);
+
+    const payload = {
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: {
+            responseModalities: ["AUDIO"],
+            speechConfig
+        },
+        model: MODEL
+    };
+
+    const { response, body } = await fetchWithRetry(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    }, { label: 'Google' });
+
+    if (!response.ok) {
+        throw responseError(response, body);
+    }
+
+    let result;
+    try {
+        result = JSON.parse(body);
+    } catch {
+        throw apiError('NO_AUDIO', 'La respuesta de la API de Google no es JSON válido.');
+    }
+    const blockReason = result?.promptFeedback?.blockReason;
+    const finishReason = result?.candidates?.[0]?.finishReason;
+    if (blockReason || SAFETY_REASONS.includes(finishReason)) {
+        throw apiError('UPSTREAM_SAFETY_BLOCKED', `Los filtros de seguridad de Google bloquearon el texto (${blockReason || finishReason}).`);
+    }
+
+    const part = result?.candidates?.[0]?.content?.parts?.[0];
+    const audioData = part?.inlineData?.data;
+    const mimeType = part?.inlineData?.mimeType;
+
+    if (!audioData || !mimeType?.startsWith("audio/")) {
+        throw apiError('NO_AUDIO', `La respuesta de la API no contenía datos de audio válidos${finishReason ? ` (finishReason: ${finishReason})` : ''}.`);
+    }
+    return { pcm: Buffer.from(audioData, 'base64'), mimeType };
+}
+
+module.exports = {
+    name: 'gemini',
+    label: 'Google Gemini',
+    capabilities: {
+        maxSpeakersPerRequest: 2,
+        styleInstructions: true,
+        sampleRate: 24000,
+    },
+    isConfigured: () => Boolean(process.env.GOOGLE_API_KEY),
+    configurationError: 'La clave de API no está configurada en el servidor.',
+    listVoices: async () => VOICES,
+    describeRequest: request => buildRequest(request).prompt,
+    synthesize,
+};
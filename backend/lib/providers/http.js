@@ -0,0 +1,80 @@
+// --- Llamadas HTTP a los proveedores ---
+// Cada intento tiene un tiempo máximo; las respuestas 429 y 5xx, los errores
+// de red y los tiempos agotados se reintentan con espera exponencial (con
+// algo de aleatoriedad para no sincronizar a los clientes). Si el proveedor
+// envía Retry-After se respeta, hasta el máximo de espera.
+
+const fetch = require('node-fetch');
+const { apiError } = require('../errors');
+
+const UPSTREAM_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 60000;
+const UPSTREAM_MAX_RETRIES = parseInt(process.env.UPSTREAM_MAX_RETRIES, 10) || 3;
+const UPSTREAM_RETRY_BASE_MS = parseInt(process.env.UPSTREAM_RETRY_BASE_MS, 10) || 500;
+const UPSTREAM_RETRY_MAX_MS = parseInt(process.env.UPSTREAM_RETRY_MAX_MS, 10) || 10000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+function retryDelay(attempt, retryAfterHeader) {
+    const retryAfterSeconds = Number(retryAfterHeader);
+    if (retryAfterHeader && Number.isFinite(retryAfterSeconds)) {
+        return Math.min(retryAfterSeconds * 1000, UPSTREAM_RETRY_MAX_MS);
+    }
+    const exponential = Math.min(UPSTREAM_RETRY_BASE_MS * 2 ** attempt, UPSTREAM_RETRY_MAX_MS);
+    return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+// Un intento con tiempo máximo. Los tiempos agotados se lanzan como TIMEOUT.
+async function fetchOnce(url, options, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetch(url, { ...options, signal: controller.signal });
+        // El cuerpo se lee dentro del plazo: un proveedor que deja la
+        // respuesta a medias también agota el tiempo.
+        const body = await response.text();
+        return { response, body };
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw apiError('TIMEOUT', `El proveedor no respondió en ${Math.round(timeoutMs / 1000)} s.`);
+        }
+        throw apiError('UPSTREAM_ERROR', `No se pudo conectar con el proveedor: ${error.message}`);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Hace la petición reintentando lo que puede ser pasajero. Devuelve
+ * { response, body } (body como texto) de la última respuesta, que puede
+ * no ser correcta: interpretar los errores del proveedor es cosa de quien
+ * llama. Solo lanza si el último intento falló por red o tiempo agotado.
+ */
+async function fetchWithRetry(url, options, {
+    timeoutMs = UPSTREAM_TIMEOUT_MS,
+    maxRetries = UPSTREAM_MAX_RETRIES,
+    label = 'proveedor',
+} = {}) {
+    for (let attempt = 0; ; attempt++) {
+        let result;
+        try {
+            result = await fetchOnce(url, options, timeoutMs);
+        } catch (error) {
+            if (attempt >= maxRetries) throw error;
+            console.warn(`Reintentando la llamada a ${label} (${attempt + 1}/${maxRetries}): ${error.message}`);
+            await sleep(retryDelay(attempt));
+            continue;
+        }
+        const { response } = result;
+        if (response.ok || !isRetryableStatus(response.status) || attempt >= maxRetries) {
+            return result;
+        }
+        console.warn(`Reintentando la llamada a ${label} (${attempt + 1}/${maxRetries}): HTTP ${response.status}`);
+        await sleep(retryDelay(attempt, response.headers.get('retry-after')));
+    }
+}
+
+module.exports = { fetchWithRetry };
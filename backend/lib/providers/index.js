@@ -0,0 +1,46 @@
+// --- Registro de proveedores de síntesis ---
+//
+// Un proveedor es un objeto con:
+//   name, label             identificador y nombre para mostrar
+//   capabilities            { maxSpeakersPerRequest, styleInstructions, sampleRate }
+//   isConfigured()          false si le falta configuración (p. ej. la clave de API)
+//   configurationError      mensaje a devolver cuando isConfigured() es false
+//   listVoices()            promesa con [{ value, label }]
+//   synthesize(request)     promesa con { pcm: Buffer, mimeType }
+//   describeRequest(request) opcional: el prompt que se enviaría, para la vista previa
+//
+// `request` es { text, voice, style, emphasis } para una sola voz o
+// { turns: [{ speaker, text }], speakerVoices, style } para un fragmento de
+// diálogo con varios hablantes.
+
+const gemini = require('./gemini');
+const mock = require('./mock');
+
+const PROVIDERS = { [gemini.name]: gemini, [mock.name]: mock };
+
+function defaultProviderName() {
+    return process.env.TTS_PROVIDER || gemini.name;
+}
+
+// Devuelve el proveedor pedido o el configurado en TTS_PROVIDER.
+function getProvider(name) {
+    const providerName = name || defaultProviderName();
+    const provider = PROVIDERS[providerName];
+    if (!provider) {
+        const error = new Error(`Proveedor desconocido: "${providerName}". Usa ${Object.keys(PROVIDERS).join(', ')}.`);
+        error.status = 400;
+        throw error;
+    }
+    return provider;
+}
+
+function listProviders() {
+    return Object.values(PROVIDERS).map(({ name, label, capabilities, isConfigured }) => ({
+        name,
+        label,
+        capabilities,
+        configured: isConfigured(),
+    }));
+}
+
+module.exports = { getProvider, listProviders, defaultProviderName };
@@ -0,0 +1,101 @@
+// --- Proveedor simulado sin red ---
+// Genera PCM determinista (tonos con un poco de ruido) a partir del texto,
+// para desarrollar y probar sin clave de API. El mismo texto y la misma voz
+// producen siempre las mismas muestras.
+
+const { DEFAULT_SAMPLE_RATE, BYTES_PER_SAMPLE } = require('../pcm');
+
+const SAMPLE_RATE = DEFAULT_SAMPLE_RATE;
+const MS_PER_CHAR = 55;
+const WORD_GAP_MS = 70;
+const AMPLITUDE = 8000;
+
+const VOICES = [
+    { value: 'mock-grave', label: 'Simulada grave (tono 110 Hz)', frequency: 110 },
+    { value: 'mock-media', label: 'Simulada media (tono 165 Hz)', frequency: 165 },
+    { value: 'mock-aguda', label: 'Simulada aguda (tono 220 Hz)', frequency: 220 },
+    { value: 'mock-ruido', label: 'Simulada ruido (sin tono)', frequency: 0 },
+];
+
+function hashString(value) {
+    let hash = 2166136261;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Generador pseudoaleatorio mulberry32: determinista a partir de la semilla.
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Las voces desconocidas reciben un tono derivado de su nombre.
+function frequencyFor(voice) {
+    const known = VOICES.find(v => v.value === voice);
+    return known ? known.frequency : 100 + (hashString(voice || '') % 200);
+}
+
+// Cada palabra es una ráfaga de tono con envolvente; entre palabras hay
+// silencio. El énfasis sube el volumen.
+function renderWords(text, voice, emphasis, random) {
+    const frequency = frequencyFor(voice);
+    const amplitude = emphasis ? AMPLITUDE * 1.5 : AMPLITUDE;
+    const gapSamples = Math.round((WORD_GAP_MS / 1000) * SAMPLE_RATE);
+    const words = text.split(/\s+/).filter(Boolean);
+    const pieces = [];
+
+    for (const word of words) {
+        const length = Math.round((word.length * MS_PER_CHAR / 1000) * SAMPLE_RATE);
+        const samples = new Int16Array(length + gapSamples);
+        const pitch = frequency * (1 + (hashString(word) % 5) / 20);
+        for (let i = 0; i < length; i++) {
+            const envelope = Math.sin((Math.PI * i) / length);
+            const tone = frequency > 0 ? Math.sin((2 * Math.PI * pitch * i) / SAMPLE_RATE) : 0;
+            const noise = (random() * 2 - 1) * (frequency > 0 ? 0.1 : 0.6);
+            samples[i] = Math.round(amplitude * envelope * (tone * 0.9 + noise));
+        }
+        pieces.push(Buffer.from(samples.buffer));
+    }
+    return pieces;
+}
+
+async function synthesize({ text, voice, turns, speakerVoices, emphasis }) {
+    const latency = parseInt(process.env.MOCK_LATENCY_MS, 10) || 0;
+    if (latency > 0) {
+        await new Promise(resolve => setTimeout(resolve, latency));
+    }
+
+    const parts = turns
+        ? turns.map(turn => ({ text: turn.text, voice: speakerVoices[turn.speaker] }))
+        : [{ text, voice }];
+    const random = createRandom(hashString(parts.map(part => `${part.voice}:${part.text}`).join('|')));
+    const buffers = parts.flatMap(part => renderWords(part.text, part.voice, emphasis, random));
+    const pcm = Buffer.concat(buffers);
+
+    return {
+        pcm: pcm.length > 0 ? pcm : Buffer.alloc(BYTES_PER_SAMPLE),
+        mimeType: `audio/L16;codec=pcm;rate=${SAMPLE_RATE}`,
+    };
+}
+
+module.exports = {
+    name: 'mock',
+    label: 'Simulado (sin red)',
+    capabilities: {
+        maxSpeakersPerRequest: 2,
+        styleInstructions: false,
+        sampleRate: SAMPLE_RATE,
+    },
+    isConfigured: () => true,
+    configurationError: null,
+    listVoices: async () => VOICES.map(({ value, label }) => ({ value, label })),
+    synthesize,
+};
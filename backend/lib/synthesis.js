@@ -0,0 +1,314 @@
+// --- Pipeline de síntesis ---
+// Valida una petición, la divide en fragmentos y los sintetiza con el
+// proveedor elegido. Lo usan tanto la ruta /api/generate-tts como los
+// trabajos por lotes.
+
+const { chunkText } = require('./textChunker');
+const { mapWithConcurrency } = require('./concurrency');
+const { parseSampleRate, silence, BYTES_PER_SAMPLE } = require('./pcm');
+const { parseDialogue, listSpeakers, groupTurns } = require('./dialogue');
+const { buildCacheKey } = require('./cache');
+const { getProvider } = require('./providers');
+const { parseMarkup } = require('./markup');
+const { splitIntoSentenceChunks, buildTimings } = require('./timings');
+const { normalizeText, isLocale, SUPPORTED_LOCALES } = require('./normalization');
+const { apiError } = require('./errors');
+
+// --- Configuración de textos largos ---
+const MAX_TEXT_CHARS = parseInt(process.env.MAX_TEXT_CHARS, 10) || 100000;
+const MAX_CHUNK_CHARS = parseInt(process.env.MAX_CHUNK_CHARS, 10) || 1500;
+const TTS_CONCURRENCY = parseInt(process.env.TTS_CONCURRENCY, 10) || 3;
+const PARAGRAPH_PAUSE_MS = parseInt(process.env.PARAGRAPH_PAUSE_MS, 10) || 600;
+// En streaming el primer fragmento se recorta a unas pocas oraciones para
+// que el audio empiece a sonar cuanto antes.
+const STREAM_FIRST_CHUNK_CHARS = parseInt(process.env.STREAM_FIRST_CHUNK_CHARS, 10) || 200;
+// Idioma de la normalización cuando la petición no indica 'locale'.
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'es';
+
+function requestError(message) {
+    return apiError('INVALID_INPUT', message);
+}
+
+// --- Síntesis por fragmentos ---
+// Traduce un fragmento a la petición del proveedor. Los fragmentos de diálogo
+// con un solo hablante se sintetizan como narración con la voz de ese hablante.
+function buildProviderRequest(chunk, { voice, style, speakerVoices }) {
+    if (!chunk.turns) {
+        // Los fragmentos con marcado pueden traer su propio estilo y énfasis.
+        return { text: chunk.text, voice, style: chunk.style || style, emphasis: chunk.emphasis };
+    }
+    if (chunk.speakers.length === 1) {
+        const text = chunk.turns.map(turn => turn.text).join(' ');
+        return { text, voice: speakerVoices[chunk.speakers[0]], style };
+    }
+    const chunkVoices = Object.fromEntries(chunk.speakers.map(speaker => [speaker, speakerVoices[speaker]]));
+    return { turns: chunk.turns, speakerVoices: chunkVoices, style };
+}
+
+// Sintetiza todos los fragmentos con concurrencia limitada y une el PCM en
+// orden, insertando un silencio al final de cada párrafo o turno. Los
+// fragmentos de pausa ({ pauseMs }) se convierten en silencio sin llamar al
+// proveedor. Si se pasa `onAudio`, recibe cada trozo de PCM en orden en
+// cuanto está disponible (para reproducir mientras se genera el resto).
+// `segments` indica dónde empieza (en muestras) cada fragmento de voz.
+async function synthesizeLongText(provider, chunks, options, { onProgress = () => {}, onAudio } = {}) {
+    const speechIndexes = chunks.flatMap((chunk, index) => (chunk.pauseMs === undefined ? [index] : []));
+    const results = new Array(chunks.length);
+    const buffers = [];
+    const segments = [];
+    let mimeType = null;
+    let nextToEmit = 0;
+    let offset = 0;
+
+    const currentMimeType = () => mimeType || `audio/L16;codec=pcm;rate=${provider.capabilities.sampleRate}`;
+
+    // Entrega los fragmentos consecutivos que ya están listos.
+    const flushReady = () => {
+        while (nextToEmit < chunks.length) {
+            const chunk = chunks[nextToEmit];
+            const sampleRate = parseSampleRate(currentMimeType());
+            let pcm;
+            if (chunk.pauseMs !== undefined) {
+                pcm = silence(chunk.pauseMs, sampleRate);
+            } else if (results[nextToEmit]) {
+                pcm = results[nextToEmit].pcm;
+                segments.push({ chunk, offset, pcm });
+                const isLast = nextToEmit === chunks.length - 1;
+                if (chunk.paragraphEnd && !isLast) {
+                    pcm = Buffer.concat([pcm, silence(PARAGRAPH_PAUSE_MS, sampleRate)]);
+                }
+            } else {
+                break;
+            }
+            buffers.push(pcm);
+            offset += pcm.length / BYTES_PER_SAMPLE;
+            if (onAudio) onAudio(pcm, currentMimeType());
+            nextToEmit++;
+        }
+    };
+
+    let completed = 0;
+    flushReady();
+    await mapWithConcurrency(speechIndexes, TTS_CONCURRENCY, async (index) => {
+        const result = await provider.synthesize(buildProviderRequest(chunks[index], options));
+        mimeType = mimeType || result.mimeType;
+        results[index] = result;
+        completed++;
+        onProgress(completed, speechIndexes.length);
+        flushReady();
+    });
+    return { pcm: Buffer.concat(buffers), mimeType: currentMimeType(), segments };
+}
+
+function markupError(errors) {
+    const error = requestError(`El marcado tiene ${errors.length} error(es). Línea ${errors[0].line}, columna ${errors[0].column}: ${errors[0].message}`);
+    error.details = errors;
+    return error;
+}
+
+// Convierte los segmentos del marcado en fragmentos: el texto se divide como
+// siempre y hereda el estilo y el énfasis del segmento; las pausas quedan
+// como fragmentos { pauseMs }. Un salto de párrafo pegado a una etiqueta
+// sigue produciendo la pausa de párrafo.
+function chunkMarkup(text) {
+    const { segments, errors } = parseMarkup(text);
+    if (errors.length > 0) {
+        throw markupError(errors);
+    }
+
+    const chunks = [];
+    const PARAGRAPH_BREAK = /\n\s*\n/;
+    for (const segment of segments) {
+        const previous = chunks[chunks.length - 1];
+        if (segment.type === 'pause') {
+            chunks.push({ pauseMs: segment.ms });
+            continue;
+        }
+        if (previous && previous.pauseMs === undefined && PARAGRAPH_BREAK.test(segment.text.match(/^\s*/)[0])) {
+            previous.paragraphEnd = true;
+        }
+        const segmentChunks = chunkText(segment.text, MAX_CHUNK_CHARS).map(chunk => ({
+            ...chunk,
+            style: segment.style,
+            emphasis: segment.emphasis,
+        }));
+        if (segmentChunks.length > 0) {
+            segmentChunks[segmentChunks.length - 1].paragraphEnd = PARAGRAPH_BREAK.test(segment.text.match(/\s*$/)[0]);
+            chunks.push(...segmentChunks);
+        }
+    }
+    return chunks;
+}
+
+// Prepara los fragmentos según el modo. En modo diálogo comprueba además que
+// cada hablante del guion tenga una voz asignada.
+function prepareChunks({ text, mode, speakers, markup }, provider) {
+    if (mode !== 'dialogue') {
+        return markup ? chunkMarkup(text) : chunkText(text, MAX_CHUNK_CHARS);
+    }
+    if (markup) {
+        throw requestError('El marcado solo está disponible en modo narración.');
+    }
+    const turns = parseDialogue(text);
+    const missing = listSpeakers(turns).filter(speaker => !speakers || !speakers[speaker]);
+    if (missing.length > 0) {
+        throw requestError(`Falta asignar una voz a: ${missing.join(', ')}.`);
+    }
+    return groupTurns(turns, MAX_CHUNK_CHARS, provider.capabilities.maxSpeakersPerRequest);
+}
+
+// Separa el comienzo del primer fragmento de narración en uno corto; el resto
+// del texto de ese fragmento sigue siendo un único fragmento.
+function splitFirstChunk(chunks) {
+    const index = chunks.findIndex(chunk => chunk.pauseMs === undefined);
+    const first = chunks[index];
+    if (!first || first.turns || first.text.length <= STREAM_FIRST_CHUNK_CHARS) {
+        return chunks;
+    }
+    const [head, ...rest] = chunkText(first.text, STREAM_FIRST_CHUNK_CHARS);
+    if (rest.length === 0) return chunks;
+    const pieces = [
+        { ...first, text: head.text, paragraphEnd: false },
+        { ...first, text: rest.map(piece => piece.text).join(' ') },
+    ];
+    return [...chunks.slice(0, index), ...pieces, ...chunks.slice(index + 1)];
+}
+
+// Normaliza el texto de cada fragmento ya dividido, así nunca toca etiquetas
+// ni hablantes. `displayText` guarda lo que escribió el usuario, que es lo que
+// muestran los subtítulos; al proveedor solo llega `text` (o `turns`).
+function normalizeChunks(chunks, normalize) {
+    return chunks.map(chunk => {
+        if (chunk.pauseMs !== undefined) return chunk;
+        if (chunk.turns) {
+            return {
+                ...chunk,
+                displayText: chunk.turns.map(turn => turn.text).join(' '),
+                turns: chunk.turns.map(turn => ({ ...turn, text: normalize(turn.text) })),
+            };
+        }
+        return { ...chunk, displayText: chunk.text, text: normalize(chunk.text) };
+    });
+}
+
+/**
+ * Valida la petición y la prepara para sintetizar. Lanza errores con `code`
+ * y `status` (y `details` para los errores de marcado), ver lib/errors.
+ * 'speakers' asigna una voz a cada hablante en modo 'dialogue', 'provider'
+ * permite elegir otro proveedor que el de TTS_PROVIDER y 'markup' activa las
+ * etiquetas de pausa, énfasis y estilo (ver lib/markup). Con `streaming` el
+ * primer fragmento se acorta para reducir la latencia inicial. 'timings'
+ * sintetiza oración a oración para devolver marcas de tiempo (ver lib/timings).
+ * 'normalize' (activo por defecto) convierte números, fechas y abreviaturas
+ * según 'locale' y aplica las entradas de `lexicon` (ver lib/normalization).
+ * Con `requireConfigured` false se puede preparar (p. ej. para la vista
+ * previa) aunque al proveedor le falte configuración.
+ */
+function prepareSynthesis(body, { streaming = false, lexicon = [], requireConfigured = true } = {}) {
+    const { text, voice, style, mode = 'narration', speakers, markup = false, timings = false } = body;
+    const { normalize = true, locale = DEFAULT_LOCALE } = body;
+
+    if (!text || (mode !== 'dialogue' && !voice)) {
+        throw requestError('Faltan los parámetros "text" o "voice".');
+    }
+    for (const [name, value] of Object.entries({ text, voice, style })) {
+        if (value != null && typeof value !== 'string') {
+            throw requestError(`El parámetro "${name}" debe ser una cadena.`);
+        }
+    }
+    if (text.length > MAX_TEXT_CHARS) {
+        throw requestError(`El texto supera el máximo de ${MAX_TEXT_CHARS} caracteres.`);
+    }
+
+    if (!isLocale(locale)) {
+        throw requestError(`Idioma no admitido: "${locale}". Usa ${SUPPORTED_LOCALES.join(', ')}.`);
+    }
+
+    // Solo las entradas del diccionario que se aplican a este idioma.
+    const entries = normalize ? lexicon.filter(entry => !entry.locale || entry.locale === locale) : [];
+    const normalizeChunk = normalize ? (value => normalizeText(value, { locale, lexicon: entries })) : (value => value);
+    const provider = getProvider(body.provider);
+    let chunks = prepareChunks({ text, mode, speakers, markup }, provider);
+    if (timings) chunks = splitIntoSentenceChunks(chunks);
+    if (streaming) chunks = splitFirstChunk(chunks);
+    chunks = normalizeChunks(chunks, normalizeChunk);
+    if (chunks.every(chunk => chunk.pauseMs !== undefined)) {
+        throw requestError('El texto no contiene contenido para sintetizar.');
+    }
+    if (requireConfigured && !provider.isConfigured()) {
+        throw apiError('PROVIDER_NOT_CONFIGURED', provider.configurationError);
+    }
+
+    const request = {
+        text, voice, style, mode, speakers,
+        markup: Boolean(markup),
+        timings: Boolean(timings),
+        normalize: Boolean(normalize),
+        locale,
+    };
+    return {
+        request,
+        provider,
+        chunks,
+        speechChunkCount: chunks.filter(chunk => chunk.pauseMs === undefined).length,
+        cacheKey: buildCacheKey(request, {
+            provider: provider.name,
+            markup: request.markup,
+            chunkChars: MAX_CHUNK_CHARS,
+            pauseMs: PARAGRAPH_PAUSE_MS,
+            ...(streaming && { firstChunkChars: STREAM_FIRST_CHUNK_CHARS }),
+            ...(request.timings && { timings: true }),
+            // Cambiar el diccionario invalida los audios que podía afectar.
+            normalization: request.normalize
+                ? { locale, lexicon: entries.map(({ term, replacement, caseSensitive }) => [term, replacement, caseSensitive]) }
+                : false,
+        }),
+    };
+}
+
+// Busca el resultado en la caché. Un fallo de la caché nunca impide
+// sintetizar, así que los errores solo se registran.
+async function getCached(prepared, cache) {
+    if (!cache) return null;
+    try {
+        return await cache.get(prepared.cacheKey);
+    } catch (error) {
+        console.error('Error al leer la caché:', error);
+        return null;
+    }
+}
+
+// Sintetiza una petición preparada y guarda el resultado en la caché.
+// `onProgress` y `onAudio` se pasan tal cual a synthesizeLongText.
+async function synthesizePrepared(prepared, { cache, onProgress, onAudio } = {}) {
+    const { request, provider, chunks } = prepared;
+    const options = { voice: request.voice, style: request.style, speakerVoices: request.speakers };
+    const { pcm, mimeType, segments } = await synthesizeLongText(provider, chunks, options, { onProgress, onAudio });
+    const timings = request.timings ? buildTimings(segments, parseSampleRate(mimeType)) : undefined;
+    if (cache) {
+        await cache.set(prepared.cacheKey, { data: pcm, mimeType, timings })
+            .catch(error => console.error('Error al guardar en la caché:', error));
+    }
+    return { pcm, mimeType, timings };
+}
+
+// Describe lo que se enviará al proveedor para cada fragmento, sin
+// sintetizar: el texto ya normalizado y, si el proveedor lo expone, el prompt
+// completo. Las pausas aparecen como { type: 'pause', ms }.
+function describePrepared(prepared) {
+    const { request, provider, chunks } = prepared;
+    const options = { voice: request.voice, style: request.style, speakerVoices: request.speakers };
+    return chunks.map(chunk => {
+        if (chunk.pauseMs !== undefined) {
+            return { type: 'pause', ms: chunk.pauseMs };
+        }
+        const providerRequest = buildProviderRequest(chunk, options);
+        const text = providerRequest.turns
+            ? providerRequest.turns.map(turn => `${turn.speaker}: ${turn.text}`).join('\n')
+            : providerRequest.text;
+        const prompt = provider.describeRequest ? provider.describeRequest(providerRequest) : text;
+        return { type: 'speech', text, prompt };
+    });
+}
+
+module.exports = { prepareSynthesis, getCached, synthesizePrepared, describePrepared, MAX_TEXT_CHARS };
@@ -0,0 +1,95 @@
+// --- División de textos largos en fragmentos sintetizables ---
+
+const { LOCALES } = require('./normalization/locales');
+
+const DEFAULT_MAX_CHUNK_CHARS = 1500;
+
+// Una oración termina en . ! ? o … (con comillas/paréntesis de cierre
+// opcionales) seguidos de un espacio o del final del texto; así no se corta
+// dentro de "3.5", "1.000.000" o "google.com".
+const SENTENCE_REGEX = /\S[^]*?(?:[.!?…]+["'”’»)\]]*(?=\s|$)|$)/g;
+
+// El punto de estas abreviaturas ("Dr. Pérez", "p. ej.") no cierra la oración.
+const ABBREVIATIONS = Object.values(LOCALES).flatMap(locale => locale.abbreviations
+    .filter(abbreviation => !abbreviation.sentenceEnd && !abbreviation.beforeNumber)
+    .map(abbreviation => abbreviation.pattern));
+
+// true si el final de `sentence` es (parte de) una abreviatura que sigue en `next`.
+function endsInAbbreviation(sentence, next) {
+    const joined = `${sentence} ${next}`;
+    return ABBREVIATIONS.some(pattern => {
+        const start = joined.lastIndexOf(pattern, sentence.length - 1);
+        return start >= 0 && start + pattern.length >= sentence.length && (start === 0 || /[\s(«"“]/.test(joined[start - 1]));
+    });
+}
+
+function splitParagraphs(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .split(/\n\s*\n/)
+        .map(p => p.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+}
+
+function splitSentences(paragraph) {
+    const pieces = (paragraph.match(SENTENCE_REGEX) || [paragraph]).map(s => s.trim()).filter(Boolean);
+    const sentences = [];
+    for (const piece of pieces) {
+        const previous = sentences[sentences.length - 1];
+        if (previous !== undefined && endsInAbbreviation(previous, piece)) {
+            sentences[sentences.length - 1] = `${previous} ${piece}`;
+        } else {
+            sentences.push(piece);
+        }
+    }
+    return sentences;
+}
+
+// Último recurso para oraciones más largas que el máximo: cortamos en comas
+// o, si no hay, en el último espacio disponible.
+function splitLongSentence(sentence, maxChars) {
+    const pieces = [];
+    let rest = sentence;
+    while (rest.length > maxChars) {
+        const window = rest.slice(0, maxChars);
+        let cut = Math.max(window.lastIndexOf(', '), window.lastIndexOf('; '));
+        if (cut <= 0) cut = window.lastIndexOf(' ');
+        if (cut <= 0) cut = maxChars - 1;
+        pieces.push(rest.slice(0, cut + 1).trim());
+        rest = rest.slice(cut + 1).trim();
+    }
+    if (rest) pieces.push(rest);
+    return pieces;
+}
+
+/**
+ * Divide el texto en fragmentos de como mucho `maxChars` caracteres respetando
+ * los límites de párrafo y de oración.
+ * Cada fragmento indica si cierra un párrafo (`paragraphEnd`) para que el
+ * llamador pueda insertar una pausa al unir el audio.
+ */
+function chunkText(text, maxChars = DEFAULT_MAX_CHUNK_CHARS) {
+    const chunks = [];
+    for (const paragraph of splitParagraphs(text)) {
+        let current = '';
+        const flush = () => {
+            if (current) chunks.push({ text: current, paragraphEnd: false });
+            current = '';
+        };
+        for (const sentence of splitSentences(paragraph)) {
+            for (const piece of splitLongSentence(sentence, maxChars)) {
+                if (current && current.length + 1 + piece.length > maxChars) {
+                    flush();
+                }
+                current = current ? `${current} ${piece}` : piece;
+            }
+        }
+        flush();
+        if (chunks.length > 0) {
+            chunks[chunks.length - 1].paragraphEnd = true;
+        }
+    }
+    return chunks;
+}
+
+module.exports = { chunkText, splitSentences, DEFAULT_MAX_CHUNK_CHARS };
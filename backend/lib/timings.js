@@ -0,0 +1,92 @@
+// --- Marcas de tiempo por oración y por palabra ---
+// El proveedor no devuelve tiempos, así que se estiman: con `timings` la
+// narración se sintetiza oración a oración y se mide el PCM de cada una.
+// Dentro de cada fragmento se descarta el silencio inicial y final y el
+// resto se reparte entre oraciones y palabras según su número de caracteres.
+
+const { splitSentences } = require('./textChunker');
+const { toSamples } = require('./pcm');
+
+// Amplitud por debajo de la cual una ventana de 10 ms se considera silencio.
+const SILENCE_THRESHOLD = 300;
+const WINDOW_MS = 10;
+
+// Divide los fragmentos de narración en uno por oración, conservando su
+// estilo y énfasis; la pausa de párrafo queda en la última oración.
+function splitIntoSentenceChunks(chunks) {
+    return chunks.flatMap(chunk => {
+        if (chunk.pauseMs !== undefined || chunk.turns) return [chunk];
+        const sentences = splitSentences(chunk.text);
+        if (sentences.length <= 1) return [chunk];
+        return sentences.map((sentence, i) => ({
+            ...chunk,
+            text: sentence,
+            paragraphEnd: i === sentences.length - 1 ? chunk.paragraphEnd : false,
+        }));
+    });
+}
+
+// Primera y última muestra con voz (en muestras, fin exclusivo).
+function speechBounds(samples, sampleRate) {
+    const windowSize = Math.max(1, Math.round((sampleRate * WINDOW_MS) / 1000));
+    const isVoiced = (start) => {
+        const end = Math.min(samples.length, start + windowSize);
+        for (let i = start; i < end; i++) {
+            if (Math.abs(samples[i]) > SILENCE_THRESHOLD) return true;
+        }
+        return false;
+    };
+    let start = 0;
+    while (start < samples.length && !isVoiced(start)) start += windowSize;
+    let end = samples.length;
+    while (end > start && !isVoiced(Math.max(start, end - windowSize))) end -= windowSize;
+    return start < end ? { start, end } : { start: 0, end: samples.length };
+}
+
+// Reparte [start, end) entre `items` en proporción a su peso.
+function distribute(items, start, end, weightOf) {
+    const total = items.reduce((sum, item) => sum + weightOf(item), 0) || 1;
+    let cursor = start;
+    return items.map(item => {
+        const itemStart = cursor;
+        cursor += ((end - start) * weightOf(item)) / total;
+        return { item, start: itemStart, end: cursor };
+    });
+}
+
+const roundSeconds = (value) => Math.round(value * 1000) / 1000;
+
+// Las palabras se miden por sus letras y un carácter más por el espacio.
+const wordWeight = (word) => word.length + 1;
+const sentenceWeight = (sentence) => sentence.split(/\s+/).filter(Boolean).reduce((sum, word) => sum + wordWeight(word), 0);
+
+/**
+ * Calcula `[{ text, start, end, words: [{ text, start, end }] }]` (segundos)
+ * a partir de los fragmentos de voz ya colocados en el audio final:
+ * `segments` es [{ chunk, offset, pcm }] con `offset` en muestras.
+ */
+function buildTimings(segments, sampleRate) {
+    const sentences = [];
+    for (const { chunk, offset, pcm } of segments) {
+        // Los subtítulos muestran el texto original, no el normalizado.
+        const text = chunk.displayText ?? (chunk.turns ? chunk.turns.map(turn => turn.text).join(' ') : chunk.text);
+        const bounds = speechBounds(toSamples(pcm), sampleRate);
+        const placed = distribute(splitSentences(text), offset + bounds.start, offset + bounds.end, sentenceWeight);
+        for (const { item: sentence, start, end } of placed) {
+            const words = distribute(sentence.split(/\s+/).filter(Boolean), start, end, wordWeight);
+            sentences.push({
+                text: sentence,
+                start: roundSeconds(start / sampleRate),
+                end: roundSeconds(end / sampleRate),
+                words: words.map(word => ({
+                    text: word.item,
+                    start: roundSeconds(word.start / sampleRate),
+                    end: roundSeconds(word.end / sampleRate),
+                })),
+            });
+        }
+    }
+    return sentences;
+}
+
+module.exports = { splitIntoSentenceChunks, buildTimings, speechBounds };
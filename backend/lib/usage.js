@@ -0,0 +1,167 @@
+// --- Contadores de uso y límites por cliente ---
+// Cuenta peticiones y caracteres en ventanas fijas de un minuto y de un día
+// (UTC) y guarda los contadores en un archivo JSON para que sobrevivan a los
+// reinicios.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const SAVE_DELAY_MS = 1000;
+
+const WINDOWS = {
+    minute: { ms: MINUTE_MS, requests: 'requestsPerMinute', chars: 'charsPerMinute' },
+    day: { ms: DAY_MS, requests: 'requestsPerDay', chars: 'charsPerDay' },
+};
+
+/**
+ * Guarda los contadores de cada cliente en `file` (o solo en memoria si
+ * `file` es null). Las escrituras se agrupan y se hacen con un archivo
+ * temporal y rename para no dejar el JSON a medias.
+ */
+class UsageStore {
+    constructor({ file }) {
+        this.file = file;
+        this.clients = null;
+        this.saveTimer = null;
+    }
+
+    async load() {
+        if (this.clients) return this.clients;
+        let clients = {};
+        if (this.file) {
+            try {
+                clients = JSON.parse(await fs.readFile(this.file, 'utf8')).clients || {};
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error(`No se pudo leer el archivo de uso (${this.file}):`, error.message);
+                }
+            }
+        }
+        this.clients = this.clients || clients;
+        return this.clients;
+    }
+
+    async get(name) {
+        const clients = await this.load();
+        if (!clients[name]) {
+            clients[name] = { total: { requests: 0, chars: 0 }, windows: {} };
+        }
+        return clients[name];
+    }
+
+    async list() {
+        return this.load();
+    }
+
+    scheduleSave() {
+        if (!this.file || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => console.error('Error al guardar el uso:', error));
+        }, SAVE_DELAY_MS);
+        this.saveTimer.unref();
+    }
+
+    async save() {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        const temporary = `${this.file}.tmp`;
+        await fs.writeFile(temporary, JSON.stringify({ clients: this.clients }, null, 2));
+        await fs.rename(temporary, this.file);
+    }
+}
+
+// Contadores de la ventana actual; si la guardada ya terminó empieza de cero.
+function currentWindow(record, name, now) {
+    const start = Math.floor(now / WINDOWS[name].ms) * WINDOWS[name].ms;
+    const saved = record.windows[name];
+    if (!saved || saved.start !== start) {
+        record.windows[name] = { start, requests: 0, chars: 0 };
+    }
+    return record.windows[name];
+}
+
+function quotaError(message, status, retryAfterSeconds) {
+    const error = new Error(message);
+    error.status = status;
+    error.retryAfterSeconds = retryAfterSeconds;
+    return error;
+}
+
+class RateLimiter {
+    constructor(store) {
+        this.store = store;
+    }
+
+    /**
+     * Descuenta `cost` ({ requests, chars }) de la cuota del cliente o lanza
+     * un error 429 con `retryAfterSeconds` si no queda cuota. Una petición
+     * que por sí sola supera un límite nunca podría pasar: devuelve 413.
+     */
+    async consume(client, { requests = 1, chars = 0 }, now = Date.now()) {
+        const record = await this.store.get(client.name);
+        for (const [name, spec] of Object.entries(WINDOWS)) {
+            const window = currentWindow(record, name, now);
+            const requestLimit = client.limits[spec.requests];
+            const charLimit = client.limits[spec.chars];
+            const period = name === 'day' ? 'día' : 'minuto';
+            if (requestLimit && requests > requestLimit) {
+                throw quotaError(`La petición cuenta como ${requests} peticiones y el límite de tu clave es ${requestLimit} por ${period}.`, 413);
+            }
+            if (charLimit && chars > charLimit) {
+                throw quotaError(`La petición tiene ${chars} caracteres y el límite de tu clave es ${charLimit} por ${period}.`, 413);
+            }
+            if ((requestLimit && window.requests + requests > requestLimit) || (charLimit && window.chars + chars > charLimit)) {
+                const retryAfterSeconds = Math.ceil((window.start + spec.ms - now) / 1000);
+                throw quotaError(`Has superado el límite de uso por ${period}. Vuelve a intentarlo en ${retryAfterSeconds} s.`, 429, retryAfterSeconds);
+            }
+        }
+
+        for (const name of Object.keys(WINDOWS)) {
+            const window = currentWindow(record, name, now);
+            window.requests += requests;
+            window.chars += chars;
+        }
+        record.total.requests += requests;
+        record.total.chars += chars;
+        record.lastSeen = now;
+        this.store.scheduleSave();
+    }
+
+    // Uso y cuota restante del cliente en cada ventana (null = sin límite).
+    async describe(client, now = Date.now()) {
+        const record = await this.store.get(client.name);
+        const windows = {};
+        for (const [name, spec] of Object.entries(WINDOWS)) {
+            const window = currentWindow(record, name, now);
+            const requestLimit = client.limits[spec.requests];
+            const charLimit = client.limits[spec.chars];
+            windows[name] = {
+                requests: window.requests,
+                chars: window.chars,
+                requestLimit: requestLimit || null,
+                charLimit: charLimit || null,
+                remainingRequests: requestLimit ? Math.max(0, requestLimit - window.requests) : null,
+                remainingChars: charLimit ? Math.max(0, charLimit - window.chars) : null,
+                resetAt: window.start + spec.ms,
+            };
+        }
+        return { client: client.name, windows, total: record.total };
+    }
+}
+
+// Lo máximo que puede pedir una sola petición según los límites del cliente
+// (null = sin límite): más daría siempre 413.
+function requestCaps(limits) {
+    const smallest = (...values) => {
+        const set = values.filter(Boolean);
+        return set.length > 0 ? Math.min(...set) : null;
+    };
+    return {
+        requests: smallest(limits.requestsPerMinute, limits.requestsPerDay),
+        chars: smallest(limits.charsPerMinute, limits.charsPerDay),
+    };
+}
+
+module.exports = { UsageStore, RateLimiter, requestCaps };
@@ -1,95 +1,575 @@
 // Importar los módulos necesarios
 const express = require('express');
-const fetch = require('node-fetch');
 const cors = require('cors');
+const path = require('path');
 require('dotenv').config();
 
+const { parseSampleRate, toSamples, pcmToWav } = require('./lib/pcm');
+const { encodeAudio, resolveBitrate, FORMATS } = require('./lib/encoders');
+const { createCacheFromEnv } = require('./lib/cache');
+const { getProvider, listProviders, defaultProviderName } = require('./lib/providers');
+const { parseMarkup } = require('./lib/markup');
+const { prepareSynthesis, getCached, synthesizePrepared, describePrepared, MAX_TEXT_CHARS } = require('./lib/synthesis');
+const { JobQueue, jobStatus, describeJob } = require('./lib/jobs');
+const { createZip } = require('./lib/zip');
+const { loadApiKeys, readApiKey } = require('./lib/apiKeys');
+const { UsageStore, RateLimiter, requestCaps } = require('./lib/usage');
+const { LexiconStore } = require('./lib/lexicon');
+const { apiError, errorBody } = require('./lib/errors');
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Detrás de un proxy req.ip debe salir de X-Forwarded-For para que los
+// clientes anónimos no compartan cuota. TRUST_PROXY indica cuántos proxies
+// hay delante; por defecto 1 en Render (que define RENDER) y 0 en local, donde
+// fiarse de la cabecera permitiría a cualquiera cambiar de IP.
+const TRUST_PROXY = process.env.TRUST_PROXY !== undefined
+    ? parseInt(process.env.TRUST_PROXY, 10) || 0
+    : (process.env.RENDER ? 1 : 0);
+if (TRUST_PROXY) app.set('trust proxy', TRUST_PROXY);
+
+const NDJSON_TYPE = 'application/x-ndjson';
+
+// --- Configuración de exportación ---
+const EXPORT_MAX_BYTES = process.env.EXPORT_MAX_BYTES || '200mb';
+
+// --- Configuración de los lotes ---
+const MAX_JOB_ITEMS = parseInt(process.env.MAX_JOB_ITEMS, 10) || 100;
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const JOB_MAX_RETRIES = parseInt(process.env.JOB_MAX_RETRIES, 10) || 2;
+const JOB_RETRY_DELAY_MS = parseInt(process.env.JOB_RETRY_DELAY_MS, 10) || 2000;
+const JOB_TTL_SECONDS = parseInt(process.env.JOB_TTL_SECONDS, 10) || 3600;
+
+// --- Caché de síntesis ---
+// null si TTS_CACHE=off. Ver lib/cache para el resto de variables.
+const synthesisCache = createCacheFromEnv();
+
+// --- Claves de API y cuotas ---
+// Ver lib/apiKeys para el formato de API_KEYS y los límites. USAGE_FILE=off
+// guarda los contadores solo en memoria.
+const { keys: apiKeys, defaults: defaultLimits } = loadApiKeys(process.env, { maxTextChars: MAX_TEXT_CHARS, maxJobItems: MAX_JOB_ITEMS });
+const usageFile = process.env.USAGE_FILE === 'off'
+    ? null
+    : process.env.USAGE_FILE || path.join(__dirname, '.data', 'usage.json');
+const rateLimiter = new RateLimiter(new UsageStore({ file: usageFile }));
+
+// --- Diccionario de pronunciación ---
+// Compartido por todos los clientes. LEXICON_FILE=off lo guarda solo en memoria.
+const lexiconFile = process.env.LEXICON_FILE === 'off'
+    ? null
+    : process.env.LEXICON_FILE || path.join(__dirname, '.data', 'lexicon.json');
+const lexiconStore = new LexiconStore({ file: lexiconFile });
+
 // --- Middlewares ---
 const corsOptions = {
-  origin: 'https://react-tts-app.vercel.app', 
-  optionsSuccessStatus: 200 
+  origin: 'https://react-tts-app.vercel.app',
+  exposedHeaders: ['X-Cache', 'Retry-After'],
+  optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
-app.use(express.json());
+app.use(express.json({ limit: '1mb' }));
+
+// Responde con { error, code } (ver lib/errors) y Retry-After si el error
+// indica cuándo reintentar.
+function sendError(res, error) {
+    if (error.retryAfterSeconds) {
+        res.set('Retry-After', String(error.retryAfterSeconds));
+    }
+    res.status(error.status || 500).json(errorBody(error));
+}
+
+// Identifica al cliente por su clave de API. Si no hay claves configuradas la
+// API queda abierta y cada IP es un cliente anónimo con los límites por defecto.
+function authenticate(req, res, next) {
+    if (apiKeys.size === 0) {
+        req.client = { name: `ip:${req.ip}`, limits: defaultLimits, anonymous: true };
+        return next();
+    }
+    const key = readApiKey(req);
+    const client = key && apiKeys.get(key);
+    if (!client) {
+        const message = key ? 'Clave de API no válida.' : 'Falta la clave de API (cabecera "Authorization: Bearer <clave>" o "X-API-Key").';
+        return sendError(res, apiError('UNAUTHORIZED', message));
+    }
+    req.client = client;
+    next();
+}
+
+// Descuenta el coste de la cuota del cliente. Si no queda cuota responde
+// 429 con Retry-After y devuelve false.
+async function consumeQuota(req, res, cost) {
+    try {
+        await rateLimiter.consume(req.client, cost);
+        return true;
+    } catch (error) {
+        sendError(res, error);
+        return false;
+    }
+}
+
+// Los elementos de un lote se preparan al crear el trabajo y se sintetizan
+// después, reutilizando la caché igual que /api/generate-tts.
+const jobQueue = new JobQueue({
+    concurrency: JOB_CONCURRENCY,
+    maxRetries: JOB_MAX_RETRIES,
+    retryDelayMs: JOB_RETRY_DELAY_MS,
+    ttlMs: JOB_TTL_SECONDS * 1000,
+    processItem: async (item) => {
+        const cached = await getCached(item.input.prepared, synthesisCache);
+        if (cached) {
+            return { pcm: cached.data, mimeType: cached.mimeType, cached: true };
+        }
+        const { pcm, mimeType } = await synthesizePrepared(item.input.prepared, { cache: synthesisCache });
+        return { pcm, mimeType, cached: false };
+    },
+});
 
 
 // --- Ruta de la API ---
-app.post('/api/generate-tts', async (req, res) => {
-    // Aceptamos 'speakingRate' desde el cuerpo de la petición
-    const { text, voice, style, speakingRate = 1.0 } = req.body;
-    const apiKey = process.env.GOOGLE_API_KEY;
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-tts:generateContent?key=${apiKey}`;
-
-    if (!text || !voice) {
-        return res.status(400).json({ error: 'Faltan los parámetros "text" o "voice".' });
-    }
-
-    if (!apiKey) {
-        return res.status(500).json({ error: 'La clave de API no está configurada en el servidor.' });
-    }
-    
-    // --- Lógica de Prompt Mejorada ---
-    // Construimos las instrucciones de forma más clara para el modelo.
-    let instruction = '';
-    if (style && style.trim() !== '') {
-        instruction += `Dilo ${style}. `;
-    }
-    if (speakingRate && speakingRate !== 1.0) {
-        // Añadimos la instrucción de velocidad directamente en el prompt
-        instruction += `Léelo a ${speakingRate.toFixed(1)} veces la velocidad normal. `;
-    }
-    const finalText = instruction + `Di esto: ${text}`;
-    
-    // El payload ya no necesita 'speakingRate' en speechConfig
-    const payload = {
-        contents: [{ parts: [{ text: finalText }] }],
-        generationConfig: {
-            responseModalities: ["AUDIO"],
-            speechConfig: { 
-                voiceConfig: { 
-                    prebuiltVoiceConfig: { voiceName: voice } 
-                } 
-            }
-        },
-        model: "gemini-2.5-flash-preview-tts"
+app.post('/api/generate-tts', authenticate, async (req, res) => {
+    let prepared;
+    try {
+        prepared = prepareSynthesis(req.body, { lexicon: await lexiconStore.list() });
+    } catch (error) {
+        return sendError(res, error);
+    }
+    if (!(await consumeQuota(req, res, { requests: 1, chars: prepared.request.text.length }))) {
+        return;
+    }
+
+    // Si el cliente acepta NDJSON le enviamos el progreso de cada fragmento
+    // antes del resultado final; si no, respondemos con un único JSON.
+    const streamProgress = (req.get('Accept') || '').includes(NDJSON_TYPE);
+    const sendEvent = (event) => res.write(JSON.stringify(event) + '\n');
+    const sendResult = (result) => {
+        if (streamProgress) {
+            sendEvent({ type: 'result', ...result });
+            res.end();
+        } else {
+            res.json(result);
+        }
     };
 
-    try {
-        const apiResponse = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
+    // El tipo se fija antes de cualquier escritura, también para los aciertos
+    // de caché, que se envían como un único evento 'result'.
+    if (streamProgress) res.status(200).type(NDJSON_TYPE);
 
-        if (!apiResponse.ok) {
-            const errorBody = await apiResponse.text();
-            console.error('Error de la API de Google:', errorBody);
-            return res.status(apiResponse.status).json({ error: `Error en la API de Google: ${errorBody}` });
+    // Las peticiones idénticas se sirven desde la caché sin llamar al proveedor.
+    if (synthesisCache) {
+        const cached = await getCached(prepared, synthesisCache);
+        res.set('X-Cache', cached ? 'HIT' : 'MISS');
+        if (cached) {
+            return sendResult({ audioData: cached.data.toString('base64'), mimeType: cached.mimeType, timings: cached.timings, cached: true });
         }
+    }
+
+    if (streamProgress) {
+        sendEvent({ type: 'progress', completed: 0, total: prepared.speechChunkCount });
+    }
 
-        const result = await apiResponse.json();
-        const part = result?.candidates?.[0]?.content?.parts?.[0];
-        const audioData = part?.inlineData?.data;
-        const mimeType = part?.inlineData?.mimeType;
+    try {
+        const onProgress = (completed, total) => {
+            if (streamProgress) sendEvent({ type: 'progress', completed, total });
+        };
+        const { pcm, mimeType, timings } = await synthesizePrepared(prepared, { cache: synthesisCache, onProgress });
+        sendResult({ audioData: pcm.toString('base64'), mimeType, timings, cached: false });
 
-        if (audioData && mimeType?.startsWith("audio/")) {
-            res.json({ audioData, mimeType });
+    } catch (error) {
+        console.error('Error interno del servidor:', error);
+        if (streamProgress) {
+            sendEvent({ type: 'error', ...errorBody(error) });
+            res.end();
         } else {
-            res.status(500).json({ error: "La respuesta de la API no contenía datos de audio válidos." });
+            sendError(res, error);
         }
+    }
+});
+
+
+// --- Síntesis en streaming ---
+// Siempre responde en NDJSON: un evento 'audio' con el PCM (base64) de cada
+// fragmento en orden en cuanto está listo, eventos 'progress' y un 'done'
+// final. El cliente puede empezar a reproducir con el primer 'audio'.
+app.post('/api/generate-tts/stream', authenticate, async (req, res) => {
+    let prepared;
+    try {
+        prepared = prepareSynthesis(req.body, { streaming: true, lexicon: await lexiconStore.list() });
+    } catch (error) {
+        return sendError(res, error);
+    }
+    if (!(await consumeQuota(req, res, { requests: 1, chars: prepared.request.text.length }))) {
+        return;
+    }
 
+    const sendEvent = (event) => res.write(JSON.stringify(event) + '\n');
+    const cached = await getCached(prepared, synthesisCache);
+    res.status(200).type(NDJSON_TYPE);
+    if (synthesisCache) res.set('X-Cache', cached ? 'HIT' : 'MISS');
+    // Sin esto algunos proxies acumulan la respuesta y se pierde el streaming.
+    res.set('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    if (cached) {
+        sendEvent({ type: 'audio', audioData: cached.data.toString('base64'), mimeType: cached.mimeType });
+        sendEvent({ type: 'done', timings: cached.timings, cached: true });
+        return res.end();
+    }
+
+    sendEvent({ type: 'progress', completed: 0, total: prepared.speechChunkCount });
+    try {
+        const { timings } = await synthesizePrepared(prepared, {
+            cache: synthesisCache,
+            onProgress: (completed, total) => sendEvent({ type: 'progress', completed, total }),
+            onAudio: (pcm, mimeType) => sendEvent({ type: 'audio', audioData: pcm.toString('base64'), mimeType }),
+        });
+        sendEvent({ type: 'done', timings, cached: false });
     } catch (error) {
         console.error('Error interno del servidor:', error);
-        res.status(500).json({ error: 'Error interno al procesar la solicitud.' });
+        sendEvent({ type: 'error', ...errorBody(error) });
     }
+    res.end();
 });
 
 
-// --- Iniciar el servidor ---
-app.listen(PORT, () => {
-    console.log(`Servidor escuchando en http://localhost:${PORT}`);
+// --- Trabajos por lotes ---
+// Quita rutas y caracteres problemáticos del nombre pedido, le pone la
+// extensión del formato y evita duplicados dentro del mismo ZIP.
+function archiveFilename(requested, index, extension, used) {
+    const base = Array.from(String(requested || ''), char => (char < ' ' ? '_' : char)).join('')
+        .replace(/\.[a-z0-9]{2,4}$/i, '')
+        .replace(/[\\/:*?"<>|]+/g, '_')
+        .replace(/^[\s.]+|[\s.]+$/g, '')
+        .slice(0, 100) || `audio-${String(index + 1).padStart(3, '0')}`;
+    let name = `${base}.${extension}`;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+        name = `${base}-${n}.${extension}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+}
+
+// Crea un trabajo con items [{ text, voice, style, filename, locale }]. 'provider',
+// 'format' (wav, mp3, opus o flac) y 'bitrate' se aplican a todo el lote.
+// Todos los elementos se validan antes de encolar nada. Cada elemento cuenta
+// como una petición para la cuota.
+app.post('/api/jobs', authenticate, async (req, res) => {
+    const { items, provider, format = 'wav', bitrate } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+        return sendError(res, apiError('INVALID_INPUT', 'El parámetro "items" debe ser una lista con al menos un elemento.'));
+    }
+    if (items.length > MAX_JOB_ITEMS) {
+        return sendError(res, apiError('INVALID_INPUT', `Un lote admite como máximo ${MAX_JOB_ITEMS} elementos.`));
+    }
+    if (format !== 'wav' && !FORMATS[format]) {
+        return sendError(res, apiError('INVALID_INPUT', `Formato no admitido: "${format}". Usa wav, ${Object.keys(FORMATS).join(', ')}.`));
+    }
+    if (format !== 'wav') {
+        try {
+            resolveBitrate(format, bitrate);
+        } catch (error) {
+            return sendError(res, error);
+        }
+    }
+
+    const errors = [];
+    const inputs = [];
+    const lexicon = await lexiconStore.list();
+    for (const [index, item] of items.entries()) {
+        const { text, voice, style, filename, locale } = item || {};
+        try {
+            inputs.push({ filename, prepared: prepareSynthesis({ text, voice, style, provider, locale }, { lexicon }) });
+        } catch (error) {
+            // Un proveedor sin configurar afecta a todo el lote, no a un elemento.
+            if (error.status >= 500) {
+                return sendError(res, error);
+            }
+            errors.push({ index, ...errorBody(error) });
+        }
+    }
+    if (errors.length > 0) {
+        return sendError(res, apiError('INVALID_INPUT', `Hay ${errors.length} elemento(s) no válidos en el lote.`, { details: errors }));
+    }
+
+    const chars = inputs.reduce((total, input) => total + input.prepared.request.text.length, 0);
+    if (!(await consumeQuota(req, res, { requests: inputs.length, chars }))) {
+        return;
+    }
+
+    const job = jobQueue.create(inputs, { format, bitrate, client: req.client.name });
+    res.status(202).json(describeJob(job));
 });
 
+// Cada cliente solo ve sus propios trabajos.
+function findJob(req) {
+    const job = jobQueue.get(req.params.id);
+    return job && job.options.client === req.client.name ? job : null;
+}
+
+app.get('/api/jobs/:id', authenticate, (req, res) => {
+    const job = findJob(req);
+    if (!job) {
+        return sendError(res, apiError('NOT_FOUND', 'El trabajo no existe o ha caducado.'));
+    }
+    res.json(describeJob(job));
+});
+
+// Descarga un ZIP con los audios terminados; los elementos fallidos se
+// listan en errores.txt.
+app.get('/api/jobs/:id/archive', authenticate, async (req, res) => {
+    const job = findJob(req);
+    if (!job) {
+        return sendError(res, apiError('NOT_FOUND', 'El trabajo no existe o ha caducado.'));
+    }
+    if (!job.finishedAt) {
+        return sendError(res, apiError('CONFLICT', `El trabajo todavía se está procesando (${jobStatus(job)}).`));
+    }
+    if (jobStatus(job) === 'failed') {
+        return sendError(res, apiError('CONFLICT', 'Ningún elemento del trabajo se generó correctamente.', { status: 422 }));
+    }
+
+    try {
+        const { format, bitrate } = job.options;
+        const used = new Set();
+        const files = [];
+        for (const item of job.items.filter(entry => entry.status === 'done')) {
+            const { pcm, mimeType } = item.result;
+            const sampleRate = parseSampleRate(mimeType);
+            const encoded = format === 'wav'
+                ? { data: pcmToWav(pcm, sampleRate), extension: 'wav' }
+                : await encodeAudio(toSamples(pcm), sampleRate, { format, bitrate });
+            files.push({ name: archiveFilename(item.input.filename, item.index, encoded.extension, used), data: encoded.data });
+        }
+        const failed = job.items.filter(item => item.status === 'failed');
+        if (failed.length > 0) {
+            const report = failed.map(item => `#${item.index + 1} ${item.input.filename || ''}: ${item.error}`).join('\n');
+            files.push({ name: archiveFilename('errores.txt', 0, 'txt', used), data: Buffer.from(report + '\n', 'utf8') });
+        }
+
+        res.set('Content-Type', 'application/zip');
+        res.set('Content-Disposition', `attachment; filename="lote-${job.id.slice(0, 8)}.zip"`);
+        res.send(createZip(files));
+    } catch (error) {
+        console.error('Error al generar el ZIP del lote:', error);
+        sendError(res, error.status ? error : apiError('INTERNAL_ERROR', 'Error interno al generar el ZIP.'));
+    }
+});
+
+
+// --- Validación del marcado ---
+// Permite al cliente mostrar los errores mientras se escribe, sin sintetizar.
+app.post('/api/validate-markup', authenticate, (req, res) => {
+    const { text } = req.body;
+    if (typeof text !== 'string') {
+        return sendError(res, apiError('INVALID_INPUT', 'Falta el parámetro "text".'));
+    }
+    const { segments, errors } = parseMarkup(text);
+    res.json({ valid: errors.length === 0, errors, segments });
+});
+
+
+// --- Vista previa de la normalización ---
+// Recibe los mismos parámetros que /api/generate-tts y devuelve, fragmento a
+// fragmento, el texto normalizado y el prompt que recibiría el proveedor.
+app.post('/api/normalize', authenticate, async (req, res) => {
+    try {
+        const prepared = prepareSynthesis(req.body, { lexicon: await lexiconStore.list(), requireConfigured: false });
+        res.json({
+            provider: prepared.provider.name,
+            normalize: prepared.request.normalize,
+            locale: prepared.request.locale,
+            chunks: describePrepared(prepared),
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+
+// --- Diccionario de pronunciación ---
+app.get('/api/lexicon', authenticate, async (req, res) => {
+    try {
+        res.json({ entries: await lexiconStore.list() });
+    } catch (error) {
+        console.error('Error al leer el diccionario:', error);
+        sendError(res, apiError('INTERNAL_ERROR', 'Error al leer el diccionario.'));
+    }
+});
+
+// Los errores de validación de LexiconStore ya traen su estado; cualquier
+// otro es un fallo al escribir el archivo.
+function sendLexiconError(res, error) {
+    if (!error.status) console.error('Error al guardar el diccionario:', error);
+    sendError(res, error.status ? error : apiError('INTERNAL_ERROR', 'Error al guardar el diccionario.'));
+}
+
+app.post('/api/lexicon', authenticate, async (req, res) => {
+    try {
+        res.status(201).json(await lexiconStore.create(req.body));
+    } catch (error) {
+        sendLexiconError(res, error);
+    }
+});
+
+app.put('/api/lexicon/:id', authenticate, async (req, res) => {
+    try {
+        res.json(await lexiconStore.update(req.params.id, req.body));
+    } catch (error) {
+        sendLexiconError(res, error);
+    }
+});
+
+app.delete('/api/lexicon/:id', authenticate, async (req, res) => {
+    try {
+        await lexiconStore.delete(req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        sendLexiconError(res, error);
+    }
+});
+
+
+// --- Uso y cuota restante ---
+// 'maxima' es lo más que admite una sola petición (null = sin límite), para
+// que el cliente la bloquee antes de enviarla: caracteres de un texto,
+// elementos de un lote y caracteres del lote completo.
+app.get('/api/usage', authenticate, async (req, res) => {
+    const caps = requestCaps(req.client.limits);
+    const maxima = {
+        textChars: Math.min(MAX_TEXT_CHARS, caps.chars || Infinity),
+        jobItems: Math.min(MAX_JOB_ITEMS, caps.requests || Infinity),
+        jobChars: caps.chars,
+    };
+    try {
+        res.json({ anonymous: Boolean(req.client.anonymous), maxima, ...(await rateLimiter.describe(req.client)) });
+    } catch (error) {
+        console.error('Error al leer el uso:', error);
+        sendError(res, apiError('INTERNAL_ERROR', 'Error al leer el uso.'));
+    }
+});
+
+
+// --- Proveedores y voces ---
+app.get('/api/providers', (req, res) => {
+    res.json({ default: defaultProviderName(), providers: listProviders() });
+});
+
+app.get('/api/voices', async (req, res) => {
+    try {
+        const provider = getProvider(req.query.provider);
+        res.json({ provider: provider.name, voices: await provider.listVoices() });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+
+// --- Ruta de exportación ---
+// Recibe el PCM crudo (Content-Type "audio/L16; rate=24000") y lo devuelve
+// codificado en el formato de ?format= con el bitrate de ?bitrate= (kbps).
+app.post('/api/export', authenticate, express.raw({ type: 'audio/*', limit: EXPORT_MAX_BYTES }), async (req, res) => {
+    const { format, bitrate } = req.query;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return sendError(res, apiError('INVALID_INPUT', 'El cuerpo debe contener audio PCM (audio/L16).'));
+    }
+
+    try {
+        const sampleRate = parseSampleRate(req.get('Content-Type'));
+        const encoded = await encodeAudio(toSamples(req.body), sampleRate, { format, bitrate });
+        res.set('Content-Type', encoded.contentType);
+        res.set('Content-Disposition', `attachment; filename="audio.${encoded.extension}"`);
+        res.send(encoded.data);
+    } catch (error) {
+        console.error('Error al exportar el audio:', error);
+        sendError(res, error);
+    }
+});
+
+
+// --- Administración de la caché y del uso ---
+// Protegidas con la cabecera X-Admin-Token; sin ADMIN_TOKEN quedan desactivadas.
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken) {
+        return sendError(res, apiError('NOT_FOUND', 'Las rutas de administración están desactivadas.'));
+    }
+    if (req.get('X-Admin-Token') !== adminToken) {
+        return sendError(res, apiError('UNAUTHORIZED', 'Token de administración no válido.'));
+    }
+    next();
+}
+
+app.get('/api/admin/cache', requireAdmin, async (req, res) => {
+    if (!synthesisCache) {
+        return res.json({ enabled: false });
+    }
+    try {
+        res.json({ enabled: true, ...(await synthesisCache.stats()) });
+    } catch (error) {
+        console.error('Error al leer la caché:', error);
+        sendError(res, apiError('INTERNAL_ERROR', 'Error al leer la caché.'));
+    }
+});
+
+app.delete('/api/admin/cache', requireAdmin, async (req, res) => {
+    if (!synthesisCache) {
+        return res.json({ enabled: false });
+    }
+    try {
+        const { entryCount } = await synthesisCache.stats();
+        await synthesisCache.clear();
+        res.json({ purged: entryCount });
+    } catch (error) {
+        console.error('Error al vaciar la caché:', error);
+        sendError(res, apiError('INTERNAL_ERROR', 'Error al vaciar la caché.'));
+    }
+});
+
+app.delete('/api/admin/cache/:key', requireAdmin, async (req, res) => {
+    try {
+        if (!synthesisCache || !(await synthesisCache.delete(req.params.key))) {
+            return sendError(res, apiError('NOT_FOUND', 'La entrada no existe en la caché.'));
+        }
+        res.json({ purged: 1 });
+    } catch (error) {
+        console.error('Error al borrar de la caché:', error);
+        sendError(res, apiError('INTERNAL_ERROR', 'Error al borrar de la caché.'));
+    }
+});
+
+
+app.get('/api/admin/usage', requireAdmin, async (req, res) => {
+    try {
+        res.json({ clients: await rateLimiter.store.list() });
+    } catch (error) {
+        console.error('Error al leer el uso:', error);
+        sendError(res, apiError('INTERNAL_ERROR', 'Error al leer el uso.'));
+    }
+});
+
+
+// --- Rutas inexistentes y errores de Express ---
+// También estas respuestas llevan { error, code }: p. ej. un JSON mal formado
+// o demasiado grande llega aquí desde express.json con estado 400 o 413.
+app.use('/api', (req, res) => {
+    sendError(res, apiError('NOT_FOUND', `La ruta ${req.method} ${req.originalUrl} no existe.`));
+});
+
+app.use((error, req, res, next) => {
+    if (res.headersSent) return next(error);
+    if (!error.status) console.error('Error interno del servidor:', error);
+    sendError(res, error);
+});
+
+
+// --- Iniciar el servidor ---
+// Las pruebas importan la app sin abrir el puerto.
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Servidor escuchando en http://localhost:${PORT}`);
+    });
+}
+
+module.exports = app;
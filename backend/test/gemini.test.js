@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockUpstream, geminiAudio, sendJson } = require('./mockUpstream');
+
+describe('proveedor gemini', () => {
+    let upstream;
+    let gemini;
+    before(async () => {
+        upstream = await startMockUpstream();
+        // El módulo lee la URL al cargarse.
+        process.env.GEMINI_API_URL = upstream.url;
+        process.env.GOOGLE_API_KEY = 'clave-de-prueba';
+        process.env.UPSTREAM_RETRY_BASE_MS = '10';
+        process.env.UPSTREAM_RETRY_MAX_MS = '50';
+        gemini = require('../lib/providers/gemini');
+    });
+    after(() => upstream.close());
+
+    const request = { text: 'Hola', voice: 'Kore' };
+
+    it('devuelve el PCM de inlineData', async () => {
+        upstream.setHandler((req, res) => sendJson(res, 200, geminiAudio(240)));
+        const { pcm, mimeType } = await gemini.synthesize(request);
+        assert.equal(pcm.length, 480);
+        assert.equal(mimeType, 'audio/L16;codec=pcm;rate=24000');
+        assert.match(upstream.requests[0].url, /^\/models\/[\w.-]+:generateContent\?key=clave-de-prueba$/);
+        assert.match(JSON.parse(upstream.requests[0].body).contents[0].parts[0].text, /Hola/);
+    });
+
+    it('convierte promptFeedback.blockReason en UPSTREAM_SAFETY_BLOCKED', async () => {
+        upstream.setHandler((req, res) => sendJson(res, 200, { promptFeedback: { blockReason: 'SAFETY' } }));
+        await assert.rejects(gemini.synthesize(request), { code: 'UPSTREAM_SAFETY_BLOCKED', status: 422 });
+        assert.equal(upstream.requests.length, 1);
+    });
+
+    it('convierte un finishReason de seguridad en UPSTREAM_SAFETY_BLOCKED', async () => {
+        upstream.setHandler((req, res) => sendJson(res, 200, { candidates: [{ finishReason: 'PROHIBITED_CONTENT' }] }));
+        await assert.rejects(gemini.synthesize(request), { code: 'UPSTREAM_SAFETY_BLOCKED' });
+    });
+
+    it('convierte una respuesta sin inlineData en NO_AUDIO', async () => {
+        upstream.setHandler((req, res) => sendJson(res, 200, { candidates: [{ finishReason: 'STOP', content: { parts: [{ text: 'Hola' }] } }] }));
+        await assert.rejects(gemini.synthesize(request), { code: 'NO_AUDIO', status: 502 });
+    });
+
+    it('convierte un cuerpo que no es JSON en NO_AUDIO', async () => {
+        upstream.setHandler((req, res) => res.end('<html>502</html>'));
+        await assert.rejects(gemini.synthesize(request), { code: 'NO_AUDIO' });
+    });
+
+    it('convierte un 429 persistente en UPSTREAM_RATE_LIMITED con su Retry-After', async () => {
+        upstream.setHandler((req, res) => sendJson(res, 429, { error: { message: 'Resource exhausted' } }, { 'Retry-After': '7' }));
+        await assert.rejects(gemini.synthesize(request), { code: 'UPSTREAM_RATE_LIMITED', status: 429, retryAfterSeconds: 7 });
+        assert.equal(upstream.requests.length, 4);
+    });
+
+    it('reintenta un 500 pasajero', async () => {
+        upstream.setHandler((req, res, attempt) => (attempt === 1 ? sendJson(res, 500, {}) : sendJson(res, 200, geminiAudio())));
+        await gemini.synthesize(request);
+        assert.equal(upstream.requests.length, 2);
+    });
+
+    it('convierte un 400 en INVALID_INPUT con el mensaje de Google y sin reintentar', async () => {
+        upstream.setHandler((req, res) => sendJson(res, 400, { error: { message: 'Invalid voice' } }));
+        await assert.rejects(gemini.synthesize(request), { code: 'INVALID_INPUT', message: /Invalid voice/ });
+        assert.equal(upstream.requests.length, 1);
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Esperas cortas para que las pruebas no tarden: base 50 ms, máximo 1,5 s.
+process.env.UPSTREAM_RETRY_BASE_MS = '50';
+process.env.UPSTREAM_RETRY_MAX_MS = '1500';
+
+const { fetchWithRetry } = require('../lib/providers/http');
+const { startMockUpstream, sendJson } = require('./mockUpstream');
+
+describe('fetchWithRetry', () => {
+    let upstream;
+    before(async () => { upstream = await startMockUpstream(); });
+    after(() => upstream.close());
+
+    const gaps = () => upstream.requests.slice(1).map((request, i) => request.at - upstream.requests[i].at);
+
+    it('reintenta las respuestas 5xx con espera exponencial hasta que salen bien', async () => {
+        upstream.setHandler((req, res, attempt) => (attempt < 3 ? sendJson(res, 503, { error: 'busy' }) : sendJson(res, 200, { ok: true })));
+        const { response, body } = await fetchWithRetry(upstream.url, {}, { maxRetries: 3 });
+        assert.equal(response.status, 200);
+        assert.deepEqual(JSON.parse(body), { ok: true });
+        assert.equal(upstream.requests.length, 3);
+        // Con jitter, la espera n está entre la mitad y el total de base * 2^n.
+        const [first, second] = gaps();
+        assert.ok(first >= 25 && first < 500, `primera espera ${first} ms`);
+        assert.ok(second >= 50 && second < 800, `segunda espera ${second} ms`);
+    });
+
+    it('devuelve la última respuesta 429 al agotar los reintentos', async () => {
+        upstream.setHandler((req, res) => sendJson(res, 429, { error: { message: 'quota' } }));
+        const { response } = await fetchWithRetry(upstream.url, {}, { maxRetries: 2 });
+        assert.equal(response.status, 429);
+        assert.equal(upstream.requests.length, 3);
+    });
+
+    it('respeta Retry-After', async () => {
+        upstream.setHandler((req, res, attempt) => (attempt === 1
+            ? sendJson(res, 429, {}, { 'Retry-After': '1' })
+            : sendJson(res, 200, {})));
+        await fetchWithRetry(upstream.url, {}, { maxRetries: 1 });
+        assert.ok(gaps()[0] >= 950, `espera ${gaps()[0]} ms`);
+    });
+
+    it('no espera más de UPSTREAM_RETRY_MAX_MS aunque Retry-After pida más', async () => {
+        upstream.setHandler((req, res, attempt) => (attempt === 1
+            ? sendJson(res, 429, {}, { 'Retry-After': '120' })
+            : sendJson(res, 200, {})));
+        await fetchWithRetry(upstream.url, {}, { maxRetries: 1 });
+        assert.ok(gaps()[0] >= 1400 && gaps()[0] < 3000, `espera ${gaps()[0]} ms`);
+    });
+
+    it('no reintenta los errores 4xx distintos de 429', async () => {
+        upstream.setHandler((req, res) => sendJson(res, 400, {}));
+        const { response } = await fetchWithRetry(upstream.url, {}, { maxRetries: 3 });
+        assert.equal(response.status, 400);
+        assert.equal(upstream.requests.length, 1);
+    });
+
+    it('convierte el tiempo agotado en TIMEOUT tras reintentarlo', async () => {
+        upstream.setHandler(() => {});
+        await assert.rejects(fetchWithRetry(upstream.url, {}, { timeoutMs: 100, maxRetries: 1 }), { code: 'TIMEOUT', status: 504 });
+        assert.equal(upstream.requests.length, 2);
+    });
+
+    it('también agota el tiempo si el cuerpo se queda a medias', async () => {
+        upstream.setHandler((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.write('{"candidates":');
+        });
+        await assert.rejects(fetchWithRetry(upstream.url, {}, { timeoutMs: 100, maxRetries: 0 }), { code: 'TIMEOUT' });
+    });
+
+    it('convierte los errores de red en UPSTREAM_ERROR', async () => {
+        const closed = await startMockUpstream();
+        await closed.close();
+        await assert.rejects(fetchWithRetry(closed.url, {}, { maxRetries: 0 }), { code: 'UPSTREAM_ERROR', status: 502 });
+    });
+});
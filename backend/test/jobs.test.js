@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { JobQueue } = require('../lib/jobs');
+const { apiError } = require('../lib/errors');
+
+// Crea un trabajo de un elemento que falla con `error` y espera a que termine.
+async function runFailing(error) {
+    const queue = new JobQueue({
+        processItem: async () => { throw error; },
+        maxRetries: 2,
+        retryDelayMs: 1,
+        ttlMs: 1000,
+    });
+    const job = queue.create([{ filename: 'uno' }]);
+    while (!job.finishedAt) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    return job.items[0];
+}
+
+describe('reintentos de la cola de trabajos', () => {
+    it('reintenta NO_AUDIO, que no pasa por los reintentos HTTP', async () => {
+        const item = await runFailing(apiError('NO_AUDIO', 'Sin audio.'));
+        assert.equal(item.status, 'failed');
+        assert.equal(item.attempts, 3);
+        assert.equal(item.errorCode, 'NO_AUDIO');
+    });
+
+    for (const code of ['UPSTREAM_RATE_LIMITED', 'UPSTREAM_ERROR', 'TIMEOUT', 'INTERNAL_ERROR']) {
+        it(`no vuelve a intentar ${code}`, async () => {
+            const item = await runFailing(apiError(code, 'Fallo.'));
+            assert.equal(item.status, 'failed');
+            assert.equal(item.attempts, 1);
+            assert.equal(item.errorCode, code);
+        });
+    }
+
+    it('no reintenta un error inesperado', async () => {
+        const item = await runFailing(new Error('fallo interno'));
+        assert.equal(item.attempts, 1);
+        assert.equal(item.errorCode, 'INTERNAL_ERROR');
+    });
+});
@@ -0,0 +1,54 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { LexiconStore } = require('../lib/lexicon');
+
+describe('LexiconStore', () => {
+    let directory;
+    before(async () => { directory = await fs.mkdtemp(path.join(os.tmpdir(), 'lexicon-')); });
+    after(() => fs.rm(directory, { recursive: true, force: true }));
+
+    const readFile = async (file) => JSON.parse(await fs.readFile(file, 'utf8')).entries;
+
+    it('guarda todos los cambios simultáneos y el archivo coincide con la memoria', async () => {
+        const file = path.join(directory, 'concurrent.json');
+        const store = new LexiconStore({ file });
+        const created = await Promise.all(Array.from({ length: 20 }, (_, i) => store.create({ term: `T${i}`, replacement: `te ${i}` })));
+        await Promise.all([
+            store.update(created[0].id, { replacement: 'cero' }),
+            store.delete(created[1].id),
+            store.create({ term: 'Extra', replacement: 'extra' }),
+        ]);
+
+        const entries = await store.list();
+        assert.equal(entries.length, 20);
+        assert.equal(entries.find(entry => entry.id === created[0].id).replacement, 'cero');
+        assert.deepEqual(await readFile(file), entries);
+        assert.deepEqual(await new LexiconStore({ file }).list(), entries);
+    });
+
+    it('no cambia la memoria si no se puede escribir el archivo', async () => {
+        // El directorio del archivo es en realidad un archivo: mkdir falla.
+        const blocker = path.join(directory, 'blocker');
+        await fs.writeFile(blocker, '');
+        const store = new LexiconStore({ file: path.join(blocker, 'lexicon.json') });
+        await assert.rejects(store.create({ term: 'SQL', replacement: 'esecuele' }));
+        assert.deepEqual(await store.list(), []);
+    });
+
+    it('rechaza términos repetidos en el mismo idioma y entradas inexistentes', async () => {
+        const store = new LexiconStore({ file: null });
+        const entry = await store.create({ term: 'SQL', replacement: 'esecuele', locale: 'es' });
+        await store.create({ term: 'sql', replacement: 'sequel', locale: 'en' });
+        await assert.rejects(store.create({ term: 'sql', replacement: 'otra', locale: 'es' }), { status: 409 });
+        await assert.rejects(store.update('no-existe', { replacement: 'x' }), { status: 404 });
+        await assert.rejects(store.delete('no-existe'), { status: 404 });
+        await assert.rejects(store.create({ term: 'X', replacement: 'y', locale: 'fr' }), { status: 400 });
+
+        const updated = await store.update(entry.id, { caseSensitive: true });
+        assert.deepEqual(updated, { ...entry, caseSensitive: true });
+        assert.equal((await store.list()).length, 2);
+    });
+});
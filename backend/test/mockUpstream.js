@@ -0,0 +1,53 @@
+// --- Proveedor simulado para las pruebas ---
+// Servidor HTTP local que responde con lo que indique `handler` y anota cada
+// petición recibida (con su hora) para comprobar reintentos y esperas.
+
+const http = require('http');
+
+// Una respuesta de generateContent de Gemini con `samples` muestras de PCM.
+function geminiAudio(samples = 240) {
+    return {
+        candidates: [{
+            finishReason: 'STOP',
+            content: { parts: [{ inlineData: { mimeType: 'audio/L16;codec=pcm;rate=24000', data: Buffer.alloc(samples * 2, 1).toString('base64') } }] },
+        }],
+    };
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Arranca el servidor en un puerto libre. `handler(req, res, attempt)` recibe
+ * el número de petición desde 1 y se puede cambiar con `setHandler`.
+ */
+async function startMockUpstream(handler = (req, res) => sendJson(res, 200, geminiAudio())) {
+    const requests = [];
+    let current = handler;
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, body, at: Date.now() });
+            current(req, res, requests.length);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        setHandler(next) {
+            current = next;
+            requests.length = 0;
+        },
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        },
+    };
+}
+
+module.exports = { startMockUpstream, geminiAudio, sendJson };
@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeText } = require('../lib/normalization');
+
+// Comprueba cada par [entrada, salida esperada] con las opciones dadas.
+function expectAll(cases, options) {
+    for (const [input, expected] of cases) {
+        assert.equal(normalizeText(input, options), expected, input);
+    }
+}
+
+describe('normalizeText en español', () => {
+    const es = { locale: 'es' };
+
+    it('lee los números con separadores de miles y decimales', () => {
+        expectAll([
+            ['El precio es 1.000.000 euros', 'El precio es un millón de euros'],
+            ['1.000.000 personas', 'un millón de personas'],
+            ['2.000.000 de euros', 'dos millones de euros'],
+            ['3.500.000 habitantes', 'tres millones quinientos mil habitantes'],
+            ['3.5 kg', 'tres coma cinco kilos'],
+            ['Pesa 3,5 kg.', 'Pesa tres coma cinco kilos.'],
+            ['Versión 1.2.3', 'Versión uno punto dos punto tres'],
+        ], es);
+    });
+
+    it('lee los importes con su moneda y céntimos', () => {
+        expectAll([
+            ['12.50 euros', 'doce euros con cincuenta céntimos'],
+            ['Cuesta 12,50 €', 'Cuesta doce euros con cincuenta céntimos'],
+            ['1 euro', 'un euro'],
+            ['2 dólares y 1 dólar', 'dos dólares y un dólar'],
+        ], es);
+    });
+
+    it('hace concordar "uno" solo con el sustantivo que cuenta', () => {
+        expectAll([
+            ['21 casas', 'veintiuna casas'],
+            ['1 hora y 21 días', 'una hora y veintiún días'],
+            ['Llegó el 1 de julio', 'Llegó el uno de julio'],
+            ['Tengo 1 y medio', 'Tengo uno y medio'],
+        ], es);
+    });
+
+    it('apocopa los ordinales solo delante del sustantivo', () => {
+        expectAll([
+            ['el 3.º piso', 'el tercer piso'],
+            ['El 1º de mayo', 'El primero de mayo'],
+            ['la 2.ª planta', 'la segunda planta'],
+        ], es);
+    });
+
+    it('lee fechas, horas, porcentajes y unidades', () => {
+        expectAll([
+            ['El 5/3/2024', 'El cinco de marzo de dos mil veinticuatro'],
+            ['A las 10:30', 'A las diez y treinta'],
+            ['Un 15 % más', 'Un quince por ciento más'],
+            ['-3 °C', 'menos tres grados centígrados'],
+        ], es);
+    });
+
+    it('expande las abreviaturas y conserva el punto final de "etc."', () => {
+        expectAll([
+            ['El Dr. Pérez y la Sra. Gómez', 'El doctor Pérez y la señora Gómez'],
+            ['Compré pan, etc.', 'Compré pan, etcétera.'],
+        ], es);
+    });
+});
+
+describe('normalizeText en inglés', () => {
+    it('lee importes, fechas, horas y ordinales', () => {
+        expectAll([
+            ['$1,234.56', 'one thousand two hundred thirty-four dollars and fifty-six cents'],
+            ['12.50 dollars', 'twelve dollars and fifty cents'],
+            ['On 3/5/2024', 'On March fifth, twenty twenty-four'],
+            ['It is 3:45 pm', 'It is three forty-five pm'],
+            ['the 21st time', 'the twenty-first time'],
+            ['50% off', 'fifty percent off'],
+            ['Mr. Smith', 'mister Smith'],
+        ], { locale: 'en' });
+    });
+});
+
+describe('diccionario de pronunciación', () => {
+    const lexicon = [
+        { term: 'SQL', replacement: 'esecuele', locale: null, caseSensitive: true },
+        { term: 'Santa Fe', replacement: 'Santa Fe de la Vera Cruz', locale: 'es', caseSensitive: false },
+        { term: 'Fe', replacement: 'fe', locale: 'es', caseSensitive: false },
+        { term: 'GIF', replacement: 'jif', locale: 'en', caseSensitive: false },
+    ];
+
+    it('aplica las entradas del idioma y las generales, las más largas primero', () => {
+        assert.equal(normalizeText('Usa SQL en santa fe y un GIF', { locale: 'es', lexicon }), 'Usa esecuele en Santa Fe de la Vera Cruz y un GIF');
+        assert.equal(normalizeText('A GIF', { locale: 'en', lexicon }), 'A jif');
+    });
+
+    it('respeta las mayúsculas si la entrada lo pide', () => {
+        assert.equal(normalizeText('sql y SQL', { locale: 'es', lexicon }), 'sql y esecuele');
+    });
+});
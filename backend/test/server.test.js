@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockUpstream, geminiAudio, sendJson } = require('./mockUpstream');
+
+describe('errores de /api/generate-tts', () => {
+    let upstream;
+    let server;
+    let baseUrl;
+    before(async () => {
+        upstream = await startMockUpstream();
+        Object.assign(process.env, {
+            GEMINI_API_URL: upstream.url,
+            GOOGLE_API_KEY: 'clave-de-prueba',
+            TTS_PROVIDER: 'gemini',
+            TTS_CACHE: 'off',
+            USAGE_FILE: 'off',
+            LEXICON_FILE: 'off',
+            UPSTREAM_MAX_RETRIES: '1',
+            UPSTREAM_RETRY_BASE_MS: '10',
+            UPSTREAM_RETRY_MAX_MS: '50',
+        });
+        const app = require('../server');
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+    after(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await upstream.close();
+    });
+
+    const generate = (body, headers = {}) => fetch(`${baseUrl}/generate-tts`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+    });
+
+    const readEvents = async (response) => (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+
+    it('envía un evento error con código cuando el proveedor bloquea el texto', async () => {
+        upstream.setHandler((req, res) => sendJson(res, 200, { promptFeedback: { blockReason: 'SAFETY' } }));
+        const response = await generate({ text: 'Hola', voice: 'Kore' }, { Accept: 'application/x-ndjson' });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /application\/x-ndjson/);
+        const events = await readEvents(response);
+        assert.deepEqual(events[0], { type: 'progress', completed: 0, total: 1 });
+        const last = events[events.length - 1];
+        assert.equal(last.type, 'error');
+        assert.equal(last.code, 'UPSTREAM_SAFETY_BLOCKED');
+        assert.match(last.error, /seguridad/);
+    });
+
+    it('incluye retryAfterSeconds en el evento error de un 429 persistente', async () => {
+        upstream.setHandler((req, res) => sendJson(res, 429, { error: { message: 'quota' } }, { 'Retry-After': '12' }));
+        const events = await readEvents(await generate({ text: 'Hola', voice: 'Kore' }, { Accept: 'application/x-ndjson' }));
+        const last = events[events.length - 1];
+        assert.equal(last.type, 'error');
+        assert.equal(last.code, 'UPSTREAM_RATE_LIMITED');
+        assert.equal(last.retryAfterSeconds, 12);
+        assert.equal(upstream.requests.length, 2);
+    });
+
+    it('envía NO_AUDIO en el evento error de /api/generate-tts/stream', async () => {
+        upstream.setHandler((req, res) => sendJson(res, 200, { candidates: [{ finishReason: 'STOP', content: { parts: [] } }] }));
+        const response = await fetch(`${baseUrl}/generate-tts/stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: 'Hola', voice: 'Kore' }),
+        });
+        const events = await readEvents(response);
+        assert.equal(events[events.length - 1].type, 'error');
+        assert.equal(events[events.length - 1].code, 'NO_AUDIO');
+    });
+
+    it('responde con estado, código y Retry-After sin NDJSON', async () => {
+        upstream.setHandler((req, res) => sendJson(res, 429, {}, { 'Retry-After': '5' }));
+        const response = await generate({ text: 'Hola', voice: 'Kore' });
+        assert.equal(response.status, 429);
+        assert.equal(response.headers.get('retry-after'), '5');
+        assert.equal((await response.json()).code, 'UPSTREAM_RATE_LIMITED');
+    });
+
+    it('devuelve el audio cuando el proveedor responde bien', async () => {
+        upstream.setHandler((req, res) => sendJson(res, 200, geminiAudio(240)));
+        const events = await readEvents(await generate({ text: 'Hola', voice: 'Kore' }, { Accept: 'application/x-ndjson' }));
+        const last = events[events.length - 1];
+        assert.equal(last.type, 'result');
+        assert.equal(Buffer.from(last.audioData, 'base64').length, 480);
+    });
+
+    it('rechaza un texto que no es una cadena con INVALID_INPUT', async () => {
+        const response = await generate({ text: 123, voice: 'Kore' });
+        assert.equal(response.status, 400);
+        assert.deepEqual(await response.json(), { error: 'El parámetro "text" debe ser una cadena.', code: 'INVALID_INPUT' });
+    });
+});
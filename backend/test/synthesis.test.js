@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { prepareSynthesis, describePrepared } = require('../lib/synthesis');
+
+// Texto que recibiría el proveedor para cada fragmento de voz.
+const spokenTexts = (body, options) => describePrepared(prepareSynthesis({ provider: 'mock', voice: 'Kore', ...body }, options))
+    .filter(chunk => chunk.type === 'speech')
+    .map(chunk => chunk.text);
+
+describe('prepareSynthesis', () => {
+    it('normaliza los números sin que la división en oraciones los rompa', () => {
+        assert.deepEqual(spokenTexts({ text: 'El precio es 1.000.000 euros' }), ['El precio es un millón de euros']);
+        assert.deepEqual(spokenTexts({ text: '3.5 kg' }), ['tres coma cinco kilos']);
+        assert.deepEqual(spokenTexts({ text: '12.50 euros' }), ['doce euros con cincuenta céntimos']);
+        assert.deepEqual(spokenTexts({ text: '$1,234.56', locale: 'en' }), ['one thousand two hundred thirty-four dollars and fifty-six cents']);
+    });
+
+    it('sin normalizar envía el texto tal cual', () => {
+        const text = 'El precio es 1.000.000 euros. Pesa 3.5 kg. Visita google.com hoy.';
+        assert.deepEqual(spokenTexts({ text, normalize: false }), [text]);
+    });
+
+    it('con marcas de tiempo normaliza cada oración y guarda el texto original', () => {
+        const prepared = prepareSynthesis({ provider: 'mock', voice: 'Kore', text: 'Hoy hace 25 °C. El Dr. Pérez llega a las 10:30.', timings: true });
+        assert.deepEqual(prepared.chunks.map(chunk => [chunk.displayText, chunk.text]), [
+            ['Hoy hace 25 °C.', 'Hoy hace veinticinco grados centígrados.'],
+            ['El Dr. Pérez llega a las 10:30.', 'El doctor Pérez llega a las diez y treinta.'],
+        ]);
+    });
+
+    it('normaliza el texto de los turnos sin tocar los hablantes', () => {
+        const texts = spokenTexts({ text: 'Ana: Tengo 3 gatos.\nLuis: Yo 1 perro.', mode: 'dialogue', speakers: { Ana: 'Kore', Luis: 'Puck' } });
+        assert.deepEqual(texts, ['Ana: Tengo tres gatos.\nLuis: Yo un perro.']);
+    });
+
+    it('aplica solo las entradas del diccionario del idioma pedido', () => {
+        const lexicon = [{ term: 'SQL', replacement: 'esecuele', locale: 'es', caseSensitive: false }];
+        assert.deepEqual(spokenTexts({ text: 'Usa SQL.' }, { lexicon }), ['Usa esecuele.']);
+        assert.deepEqual(spokenTexts({ text: 'Use SQL.', locale: 'en' }, { lexicon }), ['Use SQL.']);
+    });
+
+    it('rechaza parámetros que no son cadenas con INVALID_INPUT', () => {
+        assert.throws(() => prepareSynthesis({ provider: 'mock', text: 123, voice: 'Kore' }), { code: 'INVALID_INPUT', status: 400 });
+        assert.throws(() => prepareSynthesis({ provider: 'mock', text: 'Hola', voice: 'Kore', locale: 'fr' }), { code: 'INVALID_INPUT' });
+    });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkText, splitSentences } = require('../lib/textChunker');
+
+const texts = (chunks) => chunks.map(chunk => chunk.text);
+
+describe('splitSentences', () => {
+    it('no corta en decimales ni separadores de miles', () => {
+        assert.deepEqual(splitSentences('Cuesta 1.000.000 euros. Pesa 3.5 kg y mide 2,75 m.'), ['Cuesta 1.000.000 euros.', 'Pesa 3.5 kg y mide 2,75 m.']);
+        assert.deepEqual(splitSentences('It costs $1,234.56 today.'), ['It costs $1,234.56 today.']);
+    });
+
+    it('no corta en direcciones web ni correos', () => {
+        assert.deepEqual(splitSentences('Visita google.com hoy. Escribe a ana@example.org.'), ['Visita google.com hoy.', 'Escribe a ana@example.org.']);
+    });
+
+    it('no corta tras las abreviaturas conocidas', () => {
+        assert.deepEqual(splitSentences('El Dr. Pérez llega. Frutas, p. ej. peras. Vive en EE. UU. y trabaja.'), ['El Dr. Pérez llega.', 'Frutas, p. ej. peras.', 'Vive en EE. UU. y trabaja.']);
+        assert.deepEqual(splitSentences('Compré pan, leche, etc. Luego volví.'), ['Compré pan, leche, etc.', 'Luego volví.']);
+    });
+
+    it('corta en ! ? … y conserva las comillas y paréntesis de cierre', () => {
+        assert.deepEqual(splitSentences('¿Vienes? ¡Sí! Dijo "vale." (Y se fue.) Fin…'), ['¿Vienes?', '¡Sí!', 'Dijo "vale."', '(Y se fue.)', 'Fin…']);
+    });
+
+    it('devuelve el texto entero si no hay final de oración', () => {
+        assert.deepEqual(splitSentences('Sin punto final'), ['Sin punto final']);
+    });
+});
+
+describe('chunkText', () => {
+    const sample = 'El precio es 1.000.000 euros. Pesa 3.5 kg. Visita google.com hoy.';
+
+    it('no altera el texto al unir las oraciones', () => {
+        assert.deepEqual(texts(chunkText(sample)), [sample]);
+    });
+
+    it('respeta el máximo de caracteres cortando entre oraciones', () => {
+        const chunks = texts(chunkText(sample, 30));
+        assert.deepEqual(chunks, ['El precio es 1.000.000 euros.', 'Pesa 3.5 kg.', 'Visita google.com hoy.']);
+        assert.equal(chunks.join(' '), sample);
+    });
+
+    it('corta las oraciones demasiado largas en comas o espacios', () => {
+        const chunks = texts(chunkText('Uno, dos, tres, cuatro, cinco, seis.', 12));
+        assert.ok(chunks.every(chunk => chunk.length <= 12), JSON.stringify(chunks));
+        assert.equal(chunks.join(' '), 'Uno, dos, tres, cuatro, cinco, seis.');
+    });
+
+    it('marca el final de cada párrafo y une los espacios de dentro', () => {
+        assert.deepEqual(chunkText('Primero.\n\nSegundo   con\nsalto.'), [
+            { text: 'Primero.', paragraphEnd: true },
+            { text: 'Segundo con salto.', paragraphEnd: true },
+        ]);
+    });
+});
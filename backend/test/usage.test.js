@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { defaultLimitsFromEnv, loadApiKeys } = require('../lib/apiKeys');
+const { UsageStore, RateLimiter, requestCaps } = require('../lib/usage');
+
+const anonymous = (limits) => ({ name: 'ip:127.0.0.1', limits, anonymous: true });
+
+describe('límites por defecto', () => {
+    it('admiten un texto y un lote del tamaño máximo', () => {
+        assert.deepEqual(defaultLimitsFromEnv({}, { maxTextChars: 100000, maxJobItems: 100 }), {
+            requestsPerMinute: 100,
+            requestsPerDay: 1000,
+            charsPerMinute: 100000,
+            charsPerDay: 1000000,
+        });
+    });
+
+    it('respetan RATE_LIMIT_*, también 0 como sin límite', () => {
+        const limits = defaultLimitsFromEnv({ RATE_LIMIT_REQUESTS_PER_MINUTE: '5', RATE_LIMIT_CHARS_PER_DAY: '0' });
+        assert.equal(limits.requestsPerMinute, 5);
+        assert.equal(limits.charsPerDay, 0);
+    });
+
+    it('las claves sin límites propios heredan los por defecto', () => {
+        const { keys } = loadApiKeys({ API_KEYS: 'estudio:secreto' }, { maxTextChars: 5000, maxJobItems: 20 });
+        assert.equal(keys.get('secreto').limits.charsPerMinute, 5000);
+        assert.equal(keys.get('secreto').limits.requestsPerMinute, 20);
+    });
+});
+
+describe('RateLimiter', () => {
+    const limits = defaultLimitsFromEnv({}, { maxTextChars: 100000, maxJobItems: 100 });
+
+    it('acepta un lote de 12 elementos y un texto de 30600 caracteres', async () => {
+        const limiter = new RateLimiter(new UsageStore({ file: null }));
+        const client = anonymous(limits);
+        await limiter.consume(client, { requests: 12, chars: 1200 });
+        await limiter.consume(client, { requests: 1, chars: 30600 });
+        const { windows } = await limiter.describe(client);
+        assert.equal(windows.minute.requests, 13);
+        assert.equal(windows.minute.chars, 31800);
+    });
+
+    it('responde 413 a una petición que nunca cabría y 429 cuando se agota la ventana', async () => {
+        const limiter = new RateLimiter(new UsageStore({ file: null }));
+        const client = anonymous({ ...limits, charsPerMinute: 1000 });
+        await assert.rejects(limiter.consume(client, { chars: 1001 }), { status: 413 });
+        await limiter.consume(client, { chars: 800 }, 0);
+        await assert.rejects(limiter.consume(client, { chars: 300 }, 1000), { status: 429, retryAfterSeconds: 59 });
+    });
+});
+
+describe('requestCaps', () => {
+    it('devuelve el menor límite de cada tipo o null sin límite', () => {
+        assert.deepEqual(requestCaps({ requestsPerMinute: 10, requestsPerDay: 500, charsPerMinute: 0, charsPerDay: 0 }), {
+            requests: 10,
+            chars: null,
+        });
+    });
+});
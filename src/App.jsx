@@ -1,135 +1,660 @@
-import React, { useState, useRef, useEffect } from 'react';
-
-// --- Funciones auxiliares para la conversión de audio ---
-
-function base64ToArrayBuffer(base64) {
-    const binaryString = window.atob(base64);
-    const len = binaryString.length;
-    const bytes = new Uint8Array(len);
-    for (let i = 0; i < len; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-    }
-    return bytes.buffer;
-}
-
-function writeString(view, offset, string) {
-    for (let i = 0; i < string.length; i++) {
-        view.setUint8(offset + i, string.charCodeAt(i));
-    }
-}
-
-function pcmToWav(pcmData, sampleRate) {
-    const numSamples = pcmData.length;
-    const numChannels = 1;
-    const bytesPerSample = 2;
-    const blockAlign = numChannels * bytesPerSample;
-    const byteRate = sampleRate * blockAlign;
-    const dataSize = numSamples * bytesPerSample;
-    const buffer = new ArrayBuffer(44 + dataSize);
-    const view = new DataView(buffer);
-
-    writeString(view, 0, 'RIFF');
-    view.setUint32(4, 36 + dataSize, true);
-    writeString(view, 8, 'WAVE');
-    writeString(view, 12, 'fmt ');
-    view.setUint32(16, 16, true);
-    view.setUint16(20, 1, true);
-    view.setUint16(22, numChannels, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, byteRate, true);
-    view.setUint16(32, blockAlign, true);
-    view.setUint16(34, 16, true);
-    writeString(view, 36, 'data');
-    view.setUint32(40, dataSize, true);
-
-    for (let i = 0; i < numSamples; i++) {
-        view.setInt16(44 + i * 2, pcmData[i], true);
-    }
-
-    return new Blob([view], { type: 'audio/wav' });
-}
+import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
+import { extractSpeakers } from './utils/dialogue';
+import { base64ToArrayBuffer, parseSampleRate, pcmToWav, wavToPcm, downloadBlob, decodeAudioFile } from './utils/audio';
+import { processPcmInWorker } from './utils/audioProcessing';
+import { addEntry, listEntries, deleteEntry, clearEntries, getStorageEstimate } from './utils/historyDb';
+import { apiFetch, readNdjson, getApiKey, setApiKey as storeApiKey } from './utils/api';
+import { StreamPlayer } from './utils/streamPlayer';
+import HistoryPanel from './components/HistoryPanel';
+import BatchPanel from './components/BatchPanel';
+import UsagePanel from './components/UsagePanel';
+import ReadAlong from './components/ReadAlong';
+import LexiconEditor from './components/LexiconEditor';
+import NormalizedPreview from './components/NormalizedPreview';
+import PostProcessingPanel from './components/PostProcessingPanel';
+import { DEFAULT_POST_PROCESSING } from './utils/postProcessing';
+import PresetPicker from './components/PresetPicker';
+import ProjectPanel from './components/ProjectPanel';
+import { loadPresets, savePresets, mergePresets, presetSettings, findMatchingPreset } from './utils/presets';
+import { buildProject, validateProject, findUnknownVoices } from './utils/project';
+import { readErrorResponse, errorFromEvent, describeError } from './utils/errors';
+import { scaleTimings, toSrt, toWebVtt } from './utils/subtitles';
 
 // --- Componente principal de la aplicación ---
 export default function App() {
     const [text, setText] = useState('Hola, el clima para hoy en Esperanza, Santa Fe será soleado con una máxima de 25 grados.');
     const [selectedVoice, setSelectedVoice] = useState('Kore');
     const [stylePrompt, setStylePrompt] = useState('');
-    const [speakingRate, setSpeakingRate] = useState(1);
+    const [tempo, setTempo] = useState(1);
+    const [pitchSemitones, setPitchSemitones] = useState(0);
     const [isLoading, setIsLoading] = useState(false);
     const [status, setStatus] = useState({ message: '', type: '' });
     const [audioUrl, setAudioUrl] = useState('');
+    const [progress, setProgress] = useState(null);
+    const [mode, setMode] = useState('narration');
+    const [speakerVoices, setSpeakerVoices] = useState({});
+    const [generatedAudio, setGeneratedAudio] = useState(null);
+    const [processedAudio, setProcessedAudio] = useState(null);
+    const [isProcessing, setIsProcessing] = useState(false);
+    const [exportFormat, setExportFormat] = useState('wav');
+    const [exportBitrate, setExportBitrate] = useState('');
+    const [isExporting, setIsExporting] = useState(false);
+    const [providers, setProviders] = useState([]);
+    const [provider, setProvider] = useState('');
+    const [voices, setVoices] = useState([]);
+    const [useMarkup, setUseMarkup] = useState(false);
+    const [markupErrors, setMarkupErrors] = useState([]);
+    const [historyEntries, setHistoryEntries] = useState([]);
+    const [storage, setStorage] = useState(null);
+    const [view, setView] = useState('single');
+    const [apiKey, setApiKey] = useState(getApiKey);
+    const [usage, setUsage] = useState(null);
+    const [streamPlayback, setStreamPlayback] = useState(true);
+    const [withTimings, setWithTimings] = useState(false);
+    const [locale, setLocale] = useState('es');
+    const [normalize, setNormalize] = useState(true);
+    const [normalizedPreview, setNormalizedPreview] = useState(null);
+    const [isPreviewing, setIsPreviewing] = useState(false);
+    const [postProcessing, setPostProcessing] = useState(DEFAULT_POST_PROCESSING);
+    const [musicBed, setMusicBed] = useState(null);
+    const [presets, setPresets] = useState(loadPresets);
+    const [segments, setSegments] = useState([]);
+    const [projectErrors, setProjectErrors] = useState([]);
     
     const audioRef = useRef(null);
-    const MAX_CHARS = 5000;
-    const backendUrl = 'https://tts-app-backend-cp16.onrender.com/api/generate-tts';
-
-    const voices = [
-        { value: 'Zephyr', label: 'Zephyr (Brillante, Femenina)' },
-        { value: 'Puck', label: 'Puck (Animada, Masculina)' },
-        { value: 'Charon', label: 'Charon (Informativa, Masculina)' },
-        { value: 'Kore', label: 'Kore (Firme, Femenina)' },
-        { value: 'Fenrir', label: 'Fenrir (Entusiasta, Masculina)' },
-        { value: 'Leda', label: 'Leda (Juvenil, Femenina)' },
-        { value: 'Orus', label: 'Orus (Firme, Masculina)' },
-        { value: 'Aoede', label: 'Aoede (Alegre, Femenina)' },
-        { value: 'Sadachbia', label: 'Sadachbia (Vivaz, Femenina)' },
-        { value: 'Sulafat', label: 'Sulafat (Cálida, Femenina)' },
+    // Posición a la que saltar, y si seguir sonando, cuando el preview se
+    // re-renderiza con otro tempo o tono.
+    const seekOnLoadRef = useRef(0);
+    const playOnLoadRef = useRef(true);
+    const appliedTempoRef = useRef(null);
+    const appliedTrimRef = useRef(0);
+    // Reproductor del audio que llega en streaming mientras se genera.
+    const streamPlayerRef = useRef(null);
+    // Límite si aún no se conoce el del servidor (ver /api/usage).
+    const MAX_CHARS = 100000;
+    const PREVIEW_DEBOUNCE_MS = 200;
+    const MARKUP_VALIDATION_DEBOUNCE_MS = 400;
+    const apiBaseUrl = 'https://tts-app-backend-cp16.onrender.com/api';
+    const backendUrl = `${apiBaseUrl}/generate-tts`;
+
+    // Formatos de descarga. WAV se genera en el navegador; el resto lo codifica
+    // el backend en /api/export con el bitrate elegido (kbps).
+    const exportFormats = [
+        { value: 'wav', label: 'WAV (sin comprimir)', bitrates: [] },
+        { value: 'mp3', label: 'MP3', bitrates: [64, 96, 128, 160] },
+        { value: 'opus', label: 'OGG/Opus', bitrates: [24, 32, 48, 64, 96] },
+        { value: 'flac', label: 'FLAC (sin pérdidas)', bitrates: [] },
     ];
+    const currentExportFormat = exportFormats.find(format => format.value === exportFormat);
+
+
+    // En modo diálogo cada hablante usa la voz elegida o, si no se eligió,
+    // una de la lista por orden de aparición.
+    const speakers = useMemo(() => (mode === 'dialogue' ? extractSpeakers(text) : []), [mode, text]);
+    const voiceForSpeaker = (speaker, index) => speakerVoices[speaker] || voices[index % voices.length]?.value;
+
+    // --- Clave de API y cuota ---
+    const refreshUsage = useCallback(async () => {
+        try {
+            const response = await apiFetch(`${apiBaseUrl}/usage`);
+            setUsage(response.ok ? await response.json() : null);
+        } catch (error) {
+            console.error("Error al leer la cuota:", error);
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshUsage();
+    }, [apiKey, refreshUsage]);
+
+    // Lo más que admite una sola petición con la clave actual; más se
+    // rechazaría siempre, así que se bloquea antes de enviarla.
+    const maxChars = usage?.maxima?.textChars ?? MAX_CHARS;
+
+    const handleApiKeyChange = (key) => {
+        storeApiKey(key);
+        setApiKey(key);
+    };
+
+    // --- Proveedores y voces ---
+    // La lista de voces la da el proveedor activo; el backend indica cuál es
+    // el proveedor por defecto.
+    useEffect(() => {
+        const loadProviders = async () => {
+            try {
+                const response = await apiFetch(`${apiBaseUrl}/providers`);
+                if (!response.ok) throw new Error(`Error del servidor: ${response.status}`);
+                const data = await response.json();
+                setProviders(data.providers);
+                setProvider(current => current || data.default);
+            } catch (error) {
+                console.error("Error al cargar los proveedores:", error);
+                setStatus({ message: `No se pudieron cargar los proveedores: ${error.message}`, type: "error" });
+            }
+        };
+        loadProviders();
+    }, []);
+
+    useEffect(() => {
+        if (!provider) return;
+        let cancelled = false;
+        const loadVoices = async () => {
+            try {
+                const response = await apiFetch(`${apiBaseUrl}/voices?provider=${encodeURIComponent(provider)}`);
+                if (!response.ok) throw new Error(`Error del servidor: ${response.status}`);
+                const data = await response.json();
+                if (cancelled) return;
+                setVoices(data.voices);
+                setSelectedVoice(current => (data.voices.some(voice => voice.value === current) ? current : data.voices[0]?.value || ''));
+            } catch (error) {
+                console.error("Error al cargar las voces:", error);
+                if (!cancelled) setStatus({ message: `No se pudieron cargar las voces: ${error.message}`, type: "error" });
+            }
+        };
+        loadVoices();
+        return () => {
+            cancelled = true;
+        };
+    }, [provider]);
 
-    const callBackendApi = async (textToSpeak, voice, style, rate) => {
-        const response = await fetch(backendUrl, {
+    // El backend responde en NDJSON: eventos 'progress' por cada fragmento
+    // sintetizado y un evento final 'result' (o 'error').
+    const callBackendApi = async (request, onProgress) => {
+        const response = await apiFetch(backendUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/x-ndjson' },
+            body: JSON.stringify(request)
+        });
+
+        if (!response.ok) {
+            throw await readErrorResponse(response);
+        }
+
+        const result = await readNdjson(response, (event) => {
+            if (event.type === 'progress') {
+                onProgress(event);
+            } else if (event.type === 'error') {
+                throw errorFromEvent(event);
+            } else if (event.type === 'result') {
+                return event;
+            }
+        });
+        if (!result) throw new Error('La respuesta del servidor terminó sin datos de audio.');
+        return result;
+    };
+
+    // Versión en streaming: además del progreso llegan eventos 'audio' con el
+    // PCM de cada fragmento en orden, y un 'done' final.
+    const callStreamingApi = async (request, { onProgress, onAudio }) => {
+        const response = await apiFetch(`${backendUrl}/stream`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ text: textToSpeak, voice, style, speakingRate: rate })
+            body: JSON.stringify(request)
         });
 
         if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.error || `Error del servidor: ${response.status}`);
+            throw await readErrorResponse(response);
+        }
+
+        const result = await readNdjson(response, (event) => {
+            if (event.type === 'progress') {
+                onProgress(event);
+            } else if (event.type === 'audio') {
+                onAudio(event);
+            } else if (event.type === 'error') {
+                throw errorFromEvent(event);
+            } else if (event.type === 'done') {
+                return event;
+            }
+        });
+        if (!result) throw new Error('La respuesta del servidor se cortó antes de terminar.');
+        return result;
+    };
+
+    // --- Validación del marcado ---
+    // Mientras se escribe, el backend revisa el marcado y devuelve los errores
+    // con su línea y columna; no se permite generar hasta corregirlos.
+    const markupActive = useMarkup && mode === 'narration';
+    useEffect(() => {
+        if (!markupActive || !text.trim()) {
+            setMarkupErrors([]);
+            return;
+        }
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            try {
+                const response = await apiFetch(`${apiBaseUrl}/validate-markup`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ text })
+                });
+                if (!response.ok) throw new Error(`Error del servidor: ${response.status}`);
+                const data = await response.json();
+                if (!cancelled) setMarkupErrors(data.errors);
+            } catch (error) {
+                console.error("Error al validar el marcado:", error);
+            }
+        }, MARKUP_VALIDATION_DEBOUNCE_MS);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [markupActive, text]);
+
+    // --- Historial ---
+    const refreshHistory = useCallback(async () => {
+        try {
+            setHistoryEntries(await listEntries());
+            setStorage(await getStorageEstimate());
+        } catch (error) {
+            console.error("Error al leer el historial:", error);
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshHistory();
+    }, [refreshHistory]);
+
+    const saveToHistory = async (entry) => {
+        try {
+            await addEntry(entry);
+            await refreshHistory();
+        } catch (error) {
+            console.error("Error al guardar en el historial:", error);
+        }
+    };
+
+    const loadEntryAudio = async (entry) => wavToPcm(await entry.audioBlob.arrayBuffer());
+
+    const handleReplayEntry = async (entry) => {
+        try {
+            const audio = await loadEntryAudio(entry);
+            appliedTempoRef.current = null;
+            setTempo(entry.tempo);
+            setPitchSemitones(entry.pitchSemitones);
+            setPostProcessing({ ...DEFAULT_POST_PROCESSING, ...entry.postProcessing });
+            setGeneratedAudio({ ...audio, timings: entry.timings });
+            setStatus({ message: 'Reproduciendo audio del historial.', type: 'success' });
+        } catch (error) {
+            console.error("Error al cargar del historial:", error);
+            setStatus({ message: `Error al cargar el audio: ${error.message}`, type: "error" });
+        }
+    };
+
+    const handleDownloadEntry = async (entry) => {
+        try {
+            const { samples, sampleRate } = await loadEntryAudio(entry);
+            // La base musical no se guarda en el historial; el resto de la cadena sí.
+            const settings = { tempo: entry.tempo, pitchSemitones: entry.pitchSemitones, postProcessing: entry.postProcessing };
+            const processed = await processPcmInWorker(samples, sampleRate, settings);
+            downloadBlob(pcmToWav(processed.samples, sampleRate), `audio-${entry.id}-${entry.tempo.toFixed(1)}x.wav`);
+        } catch (error) {
+            console.error("Error al descargar del historial:", error);
+            setStatus({ message: `Error al descargar: ${error.message}`, type: "error" });
+        }
+    };
+
+    // Carga los ajustes de la entrada en el formulario para volver a generarla.
+    const handleRegenerateEntry = (entry) => {
+        setText(entry.text);
+        setMode(entry.mode);
+        setUseMarkup(Boolean(entry.markup));
+        setWithTimings(Boolean(entry.timings));
+        setLocale(entry.locale || 'es');
+        setNormalize(entry.normalize !== false);
+        if (entry.provider) setProvider(entry.provider);
+        setSelectedVoice(entry.voice);
+        setStylePrompt(entry.style || '');
+        setSpeakerVoices(entry.speakers || {});
+        setTempo(entry.tempo);
+        setPitchSemitones(entry.pitchSemitones);
+        setPostProcessing({ ...DEFAULT_POST_PROCESSING, ...entry.postProcessing });
+        setStatus({ message: 'Ajustes cargados. Modifícalos y pulsa "Generar Audio".', type: 'success' });
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    };
+
+    const handleDeleteEntry = async (id) => {
+        try {
+            await deleteEntry(id);
+            await refreshHistory();
+        } catch (error) {
+            console.error("Error al borrar del historial:", error);
+            setStatus({ message: `Error al borrar la entrada: ${error.message}`, type: "error" });
+        }
+    };
+
+    const handleClearHistory = async () => {
+        try {
+            await clearEntries();
+            await refreshHistory();
+        } catch (error) {
+            console.error("Error al vaciar el historial:", error);
+            setStatus({ message: `Error al vaciar el historial: ${error.message}`, type: "error" });
+        }
+    };
+
+    const stopStreamPlayback = () => {
+        if (streamPlayerRef.current) {
+            streamPlayerRef.current.stop();
+            streamPlayerRef.current = null;
+        }
+    };
+
+    // Parámetros de síntesis comunes a la generación y a la vista previa.
+    // El tempo y el tono se aplican después sobre el PCM, no en el prompt.
+    const buildSynthesisRequest = () => {
+        const request = { text, voice: selectedVoice, style: stylePrompt, mode, provider, markup: markupActive, timings: withTimings, normalize, locale };
+        if (mode === 'dialogue') {
+            request.speakers = Object.fromEntries(speakers.map((speaker, i) => [speaker, voiceForSpeaker(speaker, i)]));
+        }
+        return request;
+    };
+
+    // La vista previa deja de corresponder al texto en cuanto cambia algo.
+    useEffect(() => {
+        setNormalizedPreview(null);
+    }, [text, mode, markupActive, normalize, locale]);
+
+    const handlePreviewNormalized = async () => {
+        setIsPreviewing(true);
+        try {
+            const response = await apiFetch(`${apiBaseUrl}/normalize`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(buildSynthesisRequest())
+            });
+            if (!response.ok) throw await readErrorResponse(response);
+            setNormalizedPreview(await response.json());
+        } catch (error) {
+            console.error("Error al normalizar el texto:", error);
+            setStatus({ message: `Error en la vista previa: ${describeError(error).message}`, type: "error" });
+        } finally {
+            setIsPreviewing(false);
         }
-        return await response.json();
     };
 
     const handleGenerate = async () => {
-        if (!text.trim() || text.length > MAX_CHARS) {
-            setStatus({ message: "Por favor, introduce texto válido y no excedas el límite.", type: "error" });
+        if (!text.trim() || text.length > maxChars) {
+            setStatus({ message: `Por favor, introduce texto válido y no excedas el límite de ${maxChars.toLocaleString()} caracteres.`, type: "error" });
+            return;
+        }
+        if (mode === 'dialogue' && speakers.length === 0) {
+            setStatus({ message: 'El guion debe tener líneas con el formato "Hablante: texto".', type: "error" });
             return;
         }
         setIsLoading(true);
         setStatus({ message: '', type: '' });
-        setAudioUrl('');
+        setGeneratedAudio(null);
+        setProgress(null);
+        stopStreamPlayback();
+        // El AudioContext debe crearse dentro del clic, antes de cualquier await.
+        const player = streamPlayback ? new StreamPlayer() : null;
+        streamPlayerRef.current = player;
         try {
-            const result = await callBackendApi(text, selectedVoice, stylePrompt, speakingRate);
-            if (result && result.audioData) {
-                const mimeType = result.mimeType || 'audio/L16; rate=24000';
-                const sampleRateMatch = mimeType.match(/rate=(\d+)/);
-                const sampleRate = sampleRateMatch ? parseInt(sampleRateMatch[1], 10) : 24000;
-                
-                const pcmData = base64ToArrayBuffer(result.audioData);
-                const pcm16 = new Int16Array(pcmData);
-                const wavBlob = pcmToWav(pcm16, sampleRate);
-                
-                const url = URL.createObjectURL(wavBlob);
-                setAudioUrl(url);
-                setStatus({ message: "¡Audio generado con éxito!", type: "success" });
+            const request = buildSynthesisRequest();
+            let result;
+            if (player) {
+                const done = await callStreamingApi(request, {
+                    onProgress: setProgress,
+                    onAudio: (event) => player.enqueue(new Int16Array(base64ToArrayBuffer(event.audioData)), parseSampleRate(event.mimeType)),
+                });
+                result = { ...player.assemble(), timings: done.timings, cached: done.cached };
+            } else {
+                const response = await callBackendApi(request, setProgress);
+                if (response && response.audioData) {
+                    result = {
+                        samples: new Int16Array(base64ToArrayBuffer(response.audioData)),
+                        sampleRate: parseSampleRate(response.mimeType),
+                        timings: response.timings,
+                        cached: response.cached,
+                    };
+                }
+            }
+            if (result) {
+                const { samples: pcm16, sampleRate, timings } = result;
+                appliedTempoRef.current = null;
+                setGeneratedAudio({ samples: pcm16, sampleRate, timings });
+                setStatus({
+                    message: result.cached ? "¡Audio generado con éxito! (servido desde la caché)" : "¡Audio generado con éxito!",
+                    type: "success"
+                });
+                saveToHistory({
+                    ...request,
+                    tempo,
+                    pitchSemitones,
+                    postProcessing,
+                    timings,
+                    audioBlob: pcmToWav(pcm16, sampleRate),
+                });
             }
         } catch (error) {
             console.error("Error al generar audio:", error);
-            setStatus({ message: `Error: ${error.message}`, type: "error" });
+            // Los errores pasajeros ofrecen repetir la misma generación.
+            const { message, retryable } = describeError(error);
+            setStatus({ message, type: "error", retry: retryable });
+            if (player) player.stop();
         } finally {
             setIsLoading(false);
+            setProgress(null);
+            refreshUsage();
         }
     };
     
+    // --- Presets ---
+    const currentSettings = { provider, voice: selectedVoice, style: stylePrompt, tempo, pitchSemitones, postProcessing };
+    const activePreset = findMatchingPreset(presets, currentSettings)?.name || null;
+
+    const updatePresets = (next) => {
+        setPresets(next);
+        savePresets(next);
+    };
+
+    // Si el preset es de otro proveedor se cambia también el proveedor; la
+    // voz se conserva al cargar su lista porque existe en ella.
+    const applyPreset = (preset) => {
+        if (preset.provider) setProvider(preset.provider);
+        setSelectedVoice(preset.voice);
+        setStylePrompt(preset.style || '');
+        setTempo(preset.tempo);
+        setPitchSemitones(preset.pitchSemitones);
+        setPostProcessing({ ...DEFAULT_POST_PROCESSING, ...preset.postProcessing });
+    };
+
+    const handleSavePreset = (name) => {
+        updatePresets(mergePresets(presets, [{ name, ...presetSettings(currentSettings) }]));
+        setStatus({ message: `Preset "${name}" guardado.`, type: 'success' });
+    };
+
+    const handleDeletePreset = (name) => {
+        updatePresets(presets.filter(preset => preset.name !== name));
+    };
+
+    // --- Proyecto ---
+    const handleAddSegment = () => {
+        if (!text.trim()) {
+            setStatus({ message: 'Escribe el texto del segmento antes de añadirlo.', type: 'error' });
+            return;
+        }
+        setSegments(current => [...current, { text, preset: activePreset }]);
+    };
+
+    const handleLoadSegment = (segment) => {
+        setText(segment.text);
+        const preset = presets.find(entry => entry.name === segment.preset);
+        if (preset) applyPreset(preset);
+    };
+
+    const handleExportProject = () => {
+        // Un segmento cuyo preset se borró después queda sin preset.
+        const exportedSegments = segments.map(segment => ({
+            ...segment,
+            preset: presets.some(preset => preset.name === segment.preset) ? segment.preset : null,
+        }));
+        const project = buildProject({ text, mode, locale, presets, segments: exportedSegments });
+        downloadBlob(new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' }), 'proyecto-tts.json');
+    };
+
+    // Valida la estructura y que todas las voces existan antes de tocar nada:
+    // un archivo con errores no cambia el estado actual.
+    const handleImportProject = async (file) => {
+        setProjectErrors([]);
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            setProjectErrors([`"${file.name}" no es un JSON válido: ${error.message}`]);
+            return;
+        }
+        const schemaErrors = validateProject(data);
+        if (schemaErrors.length > 0) {
+            setProjectErrors(schemaErrors);
+            return;
+        }
+
+        try {
+            const providerNames = [...new Set(data.presets.map(preset => preset.provider || provider))];
+            const voiceLists = await Promise.all(providerNames.map(async (name) => {
+                if (!providers.some(option => option.name === name)) return [name, null];
+                const response = await apiFetch(`${apiBaseUrl}/voices?provider=${encodeURIComponent(name)}`);
+                if (!response.ok) throw new Error(`Error del servidor: ${response.status}`);
+                return [name, (await response.json()).voices];
+            }));
+            const voiceErrors = findUnknownVoices(data.presets, Object.fromEntries(voiceLists), provider);
+            if (voiceErrors.length > 0) {
+                setProjectErrors(voiceErrors);
+                return;
+            }
+        } catch (error) {
+            console.error("Error al comprobar las voces del proyecto:", error);
+            setProjectErrors([`No se pudieron comprobar las voces: ${error.message}`]);
+            return;
+        }
+
+        // Los presets sin proveedor quedan asociados al actual.
+        const imported = data.presets.map(preset => ({ name: preset.name, ...presetSettings({ ...preset, provider: preset.provider || provider }) }));
+        updatePresets(mergePresets(presets, imported));
+        setText(data.text);
+        if (data.mode) setMode(data.mode);
+        if (data.locale) setLocale(data.locale);
+        setSegments(data.segments.map(segment => ({ text: segment.text, preset: segment.preset ?? null })));
+        setStatus({ message: `Proyecto "${file.name}" importado: ${imported.length} preset(s) y ${data.segments.length} segmento(s).`, type: 'success' });
+    };
+
+    // --- Base musical ---
+    // Se decodifica una vez a la frecuencia del audio generado por defecto; la
+    // cadena la remuestrea si el proveedor devuelve otra.
+    const handleMusicFile = async (file) => {
+        try {
+            const decoded = await decodeAudioFile(file, generatedAudio?.sampleRate || 24000);
+            setMusicBed({ name: file.name, ...decoded });
+        } catch (error) {
+            console.error("Error al leer la música:", error);
+            setStatus({ message: `No se pudo leer el archivo de música: ${error.message}`, type: "error" });
+        }
+    };
+
+    // Re-renderiza el preview con SoundTouch y la cadena de postprocesado cada
+    // vez que cambia el audio generado o algún ajuste, sin volver a llamar a la API.
+    useEffect(() => {
+        if (!generatedAudio) {
+            setProcessedAudio(null);
+            return;
+        }
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            setIsProcessing(true);
+            try {
+                const { samples, sampleRate } = generatedAudio;
+                const music = musicBed && { samples: musicBed.samples, sampleRate: musicBed.sampleRate };
+                const processed = await processPcmInWorker(samples, sampleRate, { tempo, pitchSemitones, postProcessing, music });
+                if (cancelled) return;
+                // Mantiene el punto de escucha al cambiar la duración del audio
+                // o el silencio recortado al principio.
+                const audio = audioRef.current;
+                const isPreviewUpdate = Boolean(audio && appliedTempoRef.current);
+                const originalTime = isPreviewUpdate ? (audio.currentTime + appliedTrimRef.current) * appliedTempoRef.current : 0;
+                seekOnLoadRef.current = Math.max(0, originalTime / tempo - processed.trimmedStart);
+                // Si el streaming sigue sonando no se arranca el reproductor encima.
+                const isStreaming = Boolean(streamPlayerRef.current?.isPlaying);
+                playOnLoadRef.current = (!isPreviewUpdate || !audio.paused) && !isStreaming;
+                appliedTempoRef.current = tempo;
+                appliedTrimRef.current = processed.trimmedStart;
+                setProcessedAudio({ samples: processed.samples, sampleRate, tempo, trimmedStart: processed.trimmedStart, loudness: processed.loudness });
+            } catch (error) {
+                console.error("Error al procesar audio:", error);
+                if (!cancelled) setStatus({ message: `Error al procesar el audio: ${error.message}`, type: "error" });
+            } finally {
+                if (!cancelled) setIsProcessing(false);
+            }
+        }, PREVIEW_DEBOUNCE_MS);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [generatedAudio, tempo, pitchSemitones, postProcessing, musicBed]);
+
+    useEffect(() => {
+        if (!processedAudio) {
+            setAudioUrl('');
+            return;
+        }
+        const url = URL.createObjectURL(pcmToWav(processedAudio.samples, processedAudio.sampleRate));
+        setAudioUrl(url);
+        return () => URL.revokeObjectURL(url);
+    }, [processedAudio]);
+
     useEffect(() => {
         if (audioUrl && audioRef.current) {
-            audioRef.current.play();
+            audioRef.current.currentTime = seekOnLoadRef.current;
+            if (playOnLoadRef.current) audioRef.current.play();
         }
     }, [audioUrl]);
 
+    const handleDownload = async () => {
+        const baseName = `audio-${tempo.toFixed(1)}x`;
+        if (exportFormat === 'wav') {
+            downloadBlob(pcmToWav(processedAudio.samples, processedAudio.sampleRate), `${baseName}.wav`);
+            return;
+        }
+        setIsExporting(true);
+        try {
+            const params = new URLSearchParams({ format: exportFormat });
+            if (exportBitrate) params.set('bitrate', exportBitrate);
+            const response = await apiFetch(`${apiBaseUrl}/export?${params}`, {
+                method: 'POST',
+                headers: { 'Content-Type': `audio/L16; rate=${processedAudio.sampleRate}` },
+                body: processedAudio.samples
+            });
+            if (!response.ok) {
+                throw await readErrorResponse(response);
+            }
+            const extension = exportFormat === 'opus' ? 'ogg' : exportFormat;
+            downloadBlob(await response.blob(), `${baseName}.${extension}`);
+        } catch (error) {
+            console.error("Error al exportar audio:", error);
+            setStatus({ message: `Error al exportar: ${describeError(error).message}`, type: "error" });
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    // Marcas de tiempo del audio que se está escuchando, ya con su tempo y
+    // su recorte inicial.
+    const playbackTimings = useMemo(() => (
+        generatedAudio?.timings && processedAudio
+            ? scaleTimings(generatedAudio.timings, processedAudio.tempo, processedAudio.trimmedStart)
+            : null
+    ), [generatedAudio, processedAudio]);
+
+    const handleDownloadSubtitles = (format) => {
+        const content = format === 'srt' ? toSrt(playbackTimings) : toWebVtt(playbackTimings);
+        const type = format === 'srt' ? 'application/x-subrip' : 'text/vtt';
+        downloadBlob(new Blob([content], { type: `${type};charset=utf-8` }), `subtitulos-${processedAudio.tempo.toFixed(1)}x.${format}`);
+    };
+
     const handleClear = () => {
         setText('');
-        setAudioUrl('');
+        setGeneratedAudio(null);
         setStatus({ message: '', type: '' });
     };
 
@@ -141,107 +666,351 @@ export default function App() {
                     <p className="text-gray-500 dark:text-gray-400 mt-2">Usa la API de Gemini para convertir tu texto en audio.</p>
                 </div>
 
-                <div className="space-y-4">
-                     <div>
-                        <div className="flex justify-between items-center mb-2">
-                            <label htmlFor="text-input" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
-                                Introduce el texto aquí
-                            </label>
-                            <button onClick={handleClear} className="text-sm text-blue-500 hover:underline">Limpiar</button>
-                        </div>
-                        <textarea
-                            id="text-input"
-                            rows="6"
+                <div className="flex rounded-lg overflow-hidden border border-gray-300 dark:border-gray-600">
+                    {[['single', 'Individual'], ['batch', 'Lote'], ['lexicon', 'Diccionario']].map(([value, label]) => (
+                        <button
+                            key={value}
+                            onClick={() => setView(value)}
+                            className={`flex-1 py-2 text-sm font-medium transition ${view === value ? 'bg-blue-600 text-white' : 'bg-gray-50 dark:bg-gray-700 text-gray-700 dark:text-gray-300'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+
+                {providers.length > 1 && (
+                    <div>
+                        <label htmlFor="provider-select" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                            Proveedor
+                        </label>
+                        <select
+                            id="provider-select"
                             className="w-full p-3 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
-                            placeholder="Escribe algo para convertirlo en voz..."
-                            value={text}
-                            onChange={(e) => setText(e.target.value)}
-                        />
-                         <p className={`text-right text-sm mt-1 ${text.length > MAX_CHARS ? 'text-red-500' : 'text-gray-500 dark:text-gray-400'}`}>
-                            {text.length} / {MAX_CHARS}
-                        </p>
+                            value={provider}
+                            onChange={(e) => setProvider(e.target.value)}
+                        >
+                            {providers.map(option => (
+                                <option key={option.name} value={option.name} disabled={!option.configured}>
+                                    {option.label}{option.configured ? '' : ' (no configurado)'}
+                                </option>
+                            ))}
+                        </select>
                     </div>
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                        <div>
-                            <label htmlFor="voice-select" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                                Voz
-                            </label>
-                            <select
-                                id="voice-select"
-                                className="w-full p-3 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
-                                value={selectedVoice}
-                                onChange={(e) => setSelectedVoice(e.target.value)}
-                            >
-                                {voices.map(voice => (
-                                    <option key={voice.value} value={voice.value}>{voice.label}</option>
+                )}
+
+                <UsagePanel apiKey={apiKey} usage={usage} onApiKeyChange={handleApiKeyChange} />
+
+                {view === 'batch' ? (
+                    <BatchPanel apiBaseUrl={apiBaseUrl} provider={provider} voices={voices} defaultVoice={selectedVoice} maxima={usage?.maxima} onJobCreated={refreshUsage} />
+                ) : view === 'lexicon' ? (
+                    <LexiconEditor apiBaseUrl={apiBaseUrl} />
+                ) : (
+                    <>
+                        <div className="space-y-4">
+                            <div className="flex rounded-lg overflow-hidden border border-gray-300 dark:border-gray-600">
+                                {[['narration', 'Narración'], ['dialogue', 'Diálogo']].map(([value, label]) => (
+                                    <button
+                                        key={value}
+                                        onClick={() => setMode(value)}
+                                        className={`flex-1 py-2 text-sm font-medium transition ${mode === value ? 'bg-blue-600 text-white' : 'bg-gray-50 dark:bg-gray-700 text-gray-700 dark:text-gray-300'}`}
+                                    >
+                                        {label}
+                                    </button>
                                 ))}
-                            </select>
+                            </div>
+                             <div>
+                                <div className="flex justify-between items-center mb-2">
+                                    <label htmlFor="text-input" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                        Introduce el texto aquí
+                                    </label>
+                                    <button onClick={handleClear} className="text-sm text-blue-500 hover:underline">Limpiar</button>
+                                </div>
+                                <textarea
+                                    id="text-input"
+                                    rows="6"
+                                    className="w-full p-3 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+                                    placeholder={mode === 'dialogue' ? 'Ana: Hola, bienvenidos al programa.\nLuis: Gracias, Ana. Hoy hablamos de...' : 'Escribe algo para convertirlo en voz...'}
+                                    value={text}
+                                    onChange={(e) => setText(e.target.value)}
+                                />
+                                <div className="flex justify-between items-start mt-1 gap-4">
+                                    {mode === 'narration' ? (
+                                        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                                            <input type="checkbox" checked={useMarkup} onChange={(e) => setUseMarkup(e.target.checked)} />
+                                            Usar marcado: <code>[pause 500ms]</code>, <code>*énfasis*</code>, <code>{'{style: susurrando}...{/style}'}</code>
+                                        </label>
+                                    ) : <span />}
+                                    <p className={`text-right text-sm ${text.length > maxChars ? 'text-red-500' : 'text-gray-500 dark:text-gray-400'}`}>
+                                        {text.length} / {maxChars}
+                                    </p>
+                                </div>
+                                {markupActive && markupErrors.length > 0 && (
+                                    <ul className="mt-2 text-sm text-red-500 space-y-1">
+                                        {markupErrors.map(error => (
+                                            <li key={`${error.line}:${error.column}:${error.message}`}>
+                                                Línea {error.line}, columna {error.column}: {error.message}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                                <div className="flex flex-wrap items-center gap-4 mt-2">
+                                    <select
+                                        aria-label="Idioma del texto"
+                                        className="p-2 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+                                        value={locale}
+                                        onChange={(e) => setLocale(e.target.value)}
+                                    >
+                                        <option value="es">Español</option>
+                                        <option value="en">English</option>
+                                    </select>
+                                    <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                                        <input type="checkbox" checked={normalize} onChange={(e) => setNormalize(e.target.checked)} />
+                                        Normalizar texto (números, fechas, abreviaturas y diccionario)
+                                    </label>
+                                    <button
+                                        onClick={handlePreviewNormalized}
+                                        disabled={isPreviewing || !text.trim() || markupErrors.length > 0}
+                                        className="text-sm text-blue-500 hover:underline disabled:opacity-50"
+                                    >
+                                        {isPreviewing ? 'Preparando...' : 'Vista previa del texto normalizado'}
+                                    </button>
+                                </div>
+                                {normalizedPreview && (
+                                    <div className="mt-2">
+                                        <NormalizedPreview preview={normalizedPreview} onClose={() => setNormalizedPreview(null)} />
+                                    </div>
+                                )}
+                            </div>
+                            <div>
+                                <p className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Preset</p>
+                                <PresetPicker
+                                    presets={presets}
+                                    activePreset={activePreset}
+                                    onApply={applyPreset}
+                                    onSave={handleSavePreset}
+                                    onDelete={handleDeletePreset}
+                                />
+                            </div>
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                {mode === 'narration' ? (
+                                    <div>
+                                        <label htmlFor="voice-select" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                            Voz
+                                        </label>
+                                        <select
+                                            id="voice-select"
+                                            className="w-full p-3 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+                                            value={selectedVoice}
+                                            onChange={(e) => setSelectedVoice(e.target.value)}
+                                        >
+                                            {voices.map(voice => (
+                                                <option key={voice.value} value={voice.value}>{voice.label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                ) : (
+                                    <div className="space-y-2">
+                                        <p className="block text-sm font-medium text-gray-700 dark:text-gray-300">Voces por hablante</p>
+                                        {speakers.length === 0 && (
+                                            <p className="text-sm text-gray-500 dark:text-gray-400">Escribe el guion como "Hablante: texto" para asignar voces.</p>
+                                        )}
+                                        {speakers.map((speaker, i) => (
+                                            <div key={speaker} className="flex items-center gap-2">
+                                                <span className="w-1/3 truncate text-sm text-gray-700 dark:text-gray-300">{speaker}</span>
+                                                <select
+                                                    aria-label={`Voz de ${speaker}`}
+                                                    className="flex-1 p-2 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+                                                    value={voiceForSpeaker(speaker, i)}
+                                                    onChange={(e) => setSpeakerVoices(prev => ({ ...prev, [speaker]: e.target.value }))}
+                                                >
+                                                    {voices.map(voice => (
+                                                        <option key={voice.value} value={voice.value}>{voice.label}</option>
+                                                    ))}
+                                                </select>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                                <div>
+                                    <label htmlFor="style-prompt" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                        Tono o Estilo (opcional)
+                                    </label>
+                                    <input
+                                        type="text"
+                                        id="style-prompt"
+                                        className="w-full p-3 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+                                        placeholder="Ej: alegre, susurrando..."
+                                        value={stylePrompt}
+                                        onChange={(e) => setStylePrompt(e.target.value)}
+                                    />
+                                </div>
+                            </div>
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                <div>
+                                    <label htmlFor="speed-control" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                       Velocidad de Lectura: <span className="font-bold text-blue-500">{tempo.toFixed(1)}x</span>
+                                    </label>
+                                    <input
+                                        id="speed-control"
+                                        type="range"
+                                        min="0.5"
+                                        max="2"
+                                        step="0.1"
+                                        value={tempo}
+                                        onChange={(e) => setTempo(parseFloat(e.target.value))}
+                                        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer dark:bg-gray-700"
+                                    />
+                                </div>
+                                <div>
+                                    <label htmlFor="pitch-control" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                       Tono: <span className="font-bold text-blue-500">{pitchSemitones > 0 ? '+' : ''}{pitchSemitones} semitonos</span>
+                                    </label>
+                                    <input
+                                        id="pitch-control"
+                                        type="range"
+                                        min="-12"
+                                        max="12"
+                                        step="1"
+                                        value={pitchSemitones}
+                                        onChange={(e) => setPitchSemitones(parseInt(e.target.value, 10))}
+                                        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer dark:bg-gray-700"
+                                    />
+                                </div>
+                            </div>
+                            <PostProcessingPanel
+                                settings={postProcessing}
+                                onChange={setPostProcessing}
+                                musicBed={musicBed}
+                                onMusicFile={handleMusicFile}
+                                onRemoveMusic={() => setMusicBed(null)}
+                                loudness={processedAudio?.loudness}
+                            />
+                            <ProjectPanel
+                                segments={segments}
+                                activePreset={activePreset}
+                                onAddSegment={handleAddSegment}
+                                onLoadSegment={handleLoadSegment}
+                                onRemoveSegment={(index) => setSegments(current => current.filter((_, i) => i !== index))}
+                                onExport={handleExportProject}
+                                onImport={handleImportProject}
+                                importErrors={projectErrors}
+                            />
                         </div>
-                        <div>
-                            <label htmlFor="style-prompt" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                                Tono o Estilo (opcional)
+
+                        <div className="flex flex-col items-center justify-center space-y-4">
+                            <button
+                                onClick={handleGenerate}
+                                disabled={isLoading || text.length > maxChars || voices.length === 0 || markupErrors.length > 0}
+                                className="w-full md:w-auto px-8 py-3 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition duration-300 ease-in-out transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                {isLoading ? 'Generando...' : 'Generar Audio'}
+                            </button>
+                            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                                <input type="checkbox" checked={streamPlayback} onChange={(e) => setStreamPlayback(e.target.checked)} />
+                                Reproducir mientras se genera (sin velocidad, tono ni postprocesado)
                             </label>
-                            <input
-                                type="text"
-                                id="style-prompt"
-                                className="w-full p-3 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
-                                placeholder="Ej: alegre, susurrando..."
-                                value={stylePrompt}
-                                onChange={(e) => setStylePrompt(e.target.value)}
-                            />
+                            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                                <input type="checkbox" checked={withTimings} onChange={(e) => setWithTimings(e.target.checked)} />
+                                Marcas de tiempo por palabra (subtítulos y lectura sincronizada)
+                            </label>
+                             <div className="min-h-10 w-full flex items-center justify-center">
+                                {isLoading && progress && progress.total > 1 && (
+                                    <div className="w-full space-y-1">
+                                        <div className="w-full h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                                            <div
+                                                className="h-full bg-blue-500 transition-all duration-300"
+                                                style={{ width: `${(progress.completed / progress.total) * 100}%` }}
+                                            ></div>
+                                        </div>
+                                        <p className="text-center text-sm text-gray-500 dark:text-gray-400">
+                                            Fragmentos generados: {progress.completed} / {progress.total}
+                                        </p>
+                                    </div>
+                                )}
+                                {isLoading && !(progress && progress.total > 1) && (
+                                     <div className="border-4 border-gray-200 border-t-blue-500 rounded-full w-8 h-8 animate-spin"></div>
+                                )}
+                                {status.message && (
+                                    <div className="flex flex-col items-center gap-2">
+                                        <p className={`text-center ${status.type === 'error' ? 'text-red-500' : 'text-green-500'}`}>
+                                            {status.message}
+                                        </p>
+                                        {status.retry && !isLoading && (
+                                            <button
+                                                onClick={handleGenerate}
+                                                className="px-4 py-1 text-sm border border-red-500 text-red-500 rounded-lg hover:bg-red-50 dark:hover:bg-gray-700 transition"
+                                            >
+                                                Reintentar
+                                            </button>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
                         </div>
-                    </div>
-                     <div>
-                        <label htmlFor="speed-control" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                           Velocidad de Lectura: <span className="font-bold text-blue-500">{speakingRate.toFixed(1)}x</span>
-                        </label>
-                        <input
-                            id="speed-control"
-                            type="range"
-                            min="0.5"
-                            max="2"
-                            step="0.1"
-                            value={speakingRate}
-                            onChange={(e) => setSpeakingRate(parseFloat(e.target.value))}
-                            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer dark:bg-gray-700"
-                        />
-                    </div>
-                </div>
 
-                <div className="flex flex-col items-center justify-center space-y-4">
-                    <button
-                        onClick={handleGenerate}
-                        disabled={isLoading || text.length > MAX_CHARS}
-                        className="w-full md:w-auto px-8 py-3 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition duration-300 ease-in-out transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
-                    >
-                        {isLoading ? 'Generando...' : 'Generar Audio'}
-                    </button>
-                     <div className="h-10 flex items-center justify-center">
-                        {isLoading && (
-                             <div className="border-4 border-gray-200 border-t-blue-500 rounded-full w-8 h-8 animate-spin"></div>
-                        )}
-                        {status.message && (
-                            <p className={`text-center ${status.type === 'error' ? 'text-red-500' : 'text-green-500'}`}>
-                                {status.message}
-                            </p>
+                        {audioUrl && (
+                            <div className="space-y-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+                                <p className="text-sm font-medium text-gray-700 dark:text-gray-300 text-center">
+                                    {isProcessing ? 'Aplicando velocidad, tono y postprocesado...' : 'Audio generado:'}
+                                </p>
+                                <audio ref={audioRef} controls src={audioUrl} onPlay={stopStreamPlayback} className="w-full"></audio>
+                                {playbackTimings && (
+                                    <>
+                                        <ReadAlong timings={playbackTimings} audioRef={audioRef} />
+                                        <div className="flex justify-center gap-4 text-sm">
+                                            <button onClick={() => handleDownloadSubtitles('srt')} className="text-blue-500 hover:underline">Descargar SRT</button>
+                                            <button onClick={() => handleDownloadSubtitles('vtt')} className="text-blue-500 hover:underline">Descargar WebVTT</button>
+                                        </div>
+                                    </>
+                                )}
+                                <div className="flex flex-col sm:flex-row items-center justify-center gap-2 mt-4">
+                                    <select
+                                        aria-label="Formato de descarga"
+                                        className="w-full sm:w-auto p-2 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500 transition"
+                                        value={exportFormat}
+                                        onChange={(e) => {
+                                            setExportFormat(e.target.value);
+                                            setExportBitrate('');
+                                        }}
+                                    >
+                                        {exportFormats.map(format => (
+                                            <option key={format.value} value={format.value}>{format.label}</option>
+                                        ))}
+                                    </select>
+                                    {currentExportFormat.bitrates.length > 0 && (
+                                        <select
+                                            aria-label="Bitrate"
+                                            className="w-full sm:w-auto p-2 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500 transition"
+                                            value={exportBitrate}
+                                            onChange={(e) => setExportBitrate(e.target.value)}
+                                        >
+                                            <option value="">Bitrate por defecto</option>
+                                            {currentExportFormat.bitrates.map(kbps => (
+                                                <option key={kbps} value={kbps}>{kbps} kbps</option>
+                                            ))}
+                                        </select>
+                                    )}
+                                    <button
+                                        onClick={handleDownload}
+                                        disabled={isExporting || isProcessing}
+                                        className="w-full sm:w-auto px-6 py-2 bg-green-600 text-white font-semibold rounded-lg shadow-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        {isExporting ? 'Exportando...' : 'Descargar Audio'}
+                                    </button>
+                                </div>
+                            </div>
                         )}
-                    </div>
-                </div>
 
-                {audioUrl && (
-                    <div className="space-y-4 pt-4 border-t border-gray-200 dark:border-gray-700">
-                        <p className="text-sm font-medium text-gray-700 dark:text-gray-300 text-center">Audio generado:</p>
-                        <audio ref={audioRef} controls src={audioUrl} className="w-full"></audio>
-                        <div className="flex justify-center mt-4">
-                             <a
-                                href={audioUrl}
-                                download={`audio-${speakingRate.toFixed(1)}x.wav`}
-                                className="w-full sm:w-auto px-6 py-2 bg-green-600 text-white font-semibold rounded-lg shadow-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition duration-300"
-                            >
-                                Descargar Audio
-                            </a>
-                        </div>
-                    </div>
+                        <HistoryPanel
+                            entries={historyEntries}
+                            storage={storage}
+                            onReplay={handleReplayEntry}
+                            onDownload={handleDownloadEntry}
+                            onRegenerate={handleRegenerateEntry}
+                            onDelete={handleDeleteEntry}
+                            onClear={handleClearHistory}
+                        />
+                    </>
                 )}
             </div>
         </div>
@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { csvToObjects } from '../utils/csv';
+import { downloadBlob } from '../utils/audio';
+import { apiFetch } from '../utils/api';
+import { readErrorResponse, describeError } from '../utils/errors';
+
+const POLL_INTERVAL_MS = 1500;
+const MAX_POLL_INTERVAL_MS = 30000;
+const EXAMPLE_CSV = 'text,voice,style,filename\n"Bienvenidos al episodio uno.",Kore,alegre,episodio-01\n"Gracias por escucharnos, hasta la próxima.",Puck,,despedida';
+
+const batchFormats = [
+    { value: 'wav', label: 'WAV' },
+    { value: 'mp3', label: 'MP3' },
+    { value: 'opus', label: 'OGG/Opus' },
+    { value: 'flac', label: 'FLAC' },
+];
+
+const itemStatusLabels = {
+    queued: 'En cola',
+    processing: 'Generando',
+    done: 'Listo',
+    failed: 'Error',
+};
+
+const jobStatusLabels = {
+    queued: 'En cola',
+    processing: 'Procesando',
+    completed: 'Completado',
+    completed_with_errors: 'Completado con errores',
+    failed: 'Fallido',
+};
+
+const isFinished = (job) => job && !['queued', 'processing'].includes(job.status);
+
+// --- Panel de generación por lotes ---
+// El usuario pega un CSV con columnas text, voice, style y filename; el
+// backend encola un trabajo y el panel consulta su estado hasta que termina.
+export default function BatchPanel({ apiBaseUrl, provider, voices, defaultVoice, maxima, onJobCreated }) {
+    const [csv, setCsv] = useState(EXAMPLE_CSV);
+    const [format, setFormat] = useState('wav');
+    const [job, setJob] = useState(null);
+    const [submittedItems, setSubmittedItems] = useState([]);
+    const [error, setError] = useState('');
+    // Consultas seguidas que han fallado; alargan la espera hasta la siguiente.
+    const [pollFailures, setPollFailures] = useState(0);
+    const [pollError, setPollError] = useState('');
+    const [isPollStopped, setIsPollStopped] = useState(false);
+    const [rowErrors, setRowErrors] = useState({});
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [isDownloading, setIsDownloading] = useState(false);
+
+    // La voz vacía usa la elegida en la pestaña individual.
+    const items = useMemo(() => csvToObjects(csv).map(row => ({
+        text: row.text || '',
+        voice: row.voice || defaultVoice,
+        style: row.style || '',
+        filename: row.filename || '',
+    })), [csv, defaultVoice]);
+
+    const unknownVoices = items.filter(item => voices.length > 0 && !voices.some(voice => voice.value === item.voice));
+    const hasMissingText = items.some(item => !item.text);
+
+    // Límites del servidor para una sola petición (null = sin límite).
+    const totalChars = items.reduce((total, item) => total + item.text.length, 0);
+    const limitErrors = [];
+    if (maxima?.jobItems && items.length > maxima.jobItems) {
+        limitErrors.push(`El lote tiene ${items.length} filas y el máximo es ${maxima.jobItems}.`);
+    }
+    if (maxima?.jobChars && totalChars > maxima.jobChars) {
+        limitErrors.push(`El lote suma ${totalChars.toLocaleString()} caracteres y el máximo es ${maxima.jobChars.toLocaleString()}.`);
+    }
+    const longRows = maxima?.textChars ? items.filter(item => item.text.length > maxima.textChars).length : 0;
+    if (longRows > 0) {
+        limitErrors.push(`${longRows} fila(s) superan el máximo de ${maxima.textChars.toLocaleString()} caracteres por texto.`);
+    }
+
+    // Un fallo pasajero al consultar no detiene el seguimiento: se reintenta
+    // con esperas cada vez más largas hasta que el servidor vuelve a responder.
+    useEffect(() => {
+        if (!job || isFinished(job) || isPollStopped) return;
+        const delay = Math.min(POLL_INTERVAL_MS * 2 ** pollFailures, MAX_POLL_INTERVAL_MS);
+        const timer = setTimeout(async () => {
+            try {
+                const response = await apiFetch(`${apiBaseUrl}/jobs/${job.id}`);
+                if (!response.ok) throw await readErrorResponse(response);
+                setJob(await response.json());
+                setPollFailures(0);
+                setPollError('');
+            } catch (requestError) {
+                console.error("Error al consultar el lote:", requestError);
+                const { message, retryable } = describeError(requestError);
+                setPollError(`No se pudo consultar el estado del lote: ${message}${retryable ? ' Reintentando...' : ''}`);
+                // Un lote caducado o una clave rechazada no se arreglan reintentando.
+                if (retryable) {
+                    setPollFailures(failures => failures + 1);
+                } else {
+                    setIsPollStopped(true);
+                }
+            }
+        }, delay);
+        return () => clearTimeout(timer);
+    }, [apiBaseUrl, job, pollFailures, isPollStopped]);
+
+    const handleSubmit = async () => {
+        setIsSubmitting(true);
+        setError('');
+        setRowErrors({});
+        setJob(null);
+        setPollFailures(0);
+        setPollError('');
+        setIsPollStopped(false);
+        try {
+            const response = await apiFetch(`${apiBaseUrl}/jobs`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ items, provider, format })
+            });
+            if (!response.ok) {
+                const submitError = await readErrorResponse(response);
+                setRowErrors(Object.fromEntries((submitError.details || []).map(rowError => [rowError.index, rowError.error])));
+                throw submitError;
+            }
+            setSubmittedItems(items);
+            setJob(await response.json());
+        } catch (submitError) {
+            console.error("Error al crear el lote:", submitError);
+            setError(describeError(submitError).message);
+        } finally {
+            setIsSubmitting(false);
+            onJobCreated();
+        }
+    };
+
+    const handleDownload = async () => {
+        setIsDownloading(true);
+        try {
+            const response = await apiFetch(`${apiBaseUrl}/jobs/${job.id}/archive`);
+            if (!response.ok) {
+                throw await readErrorResponse(response);
+            }
+            downloadBlob(await response.blob(), `lote-${job.id.slice(0, 8)}.zip`);
+        } catch (downloadError) {
+            console.error("Error al descargar el lote:", downloadError);
+            setError(`Error al descargar el ZIP: ${describeError(downloadError).message}`);
+        } finally {
+            setIsDownloading(false);
+        }
+    };
+
+    // Antes de enviar la tabla muestra la vista previa del CSV; después, el
+    // estado de cada elemento del trabajo.
+    const rows = job ? submittedItems : items;
+    const jobItems = job ? job.items : items.map((item, index) => ({ index, filename: item.filename }));
+
+    return (
+        <div className="space-y-4">
+            <div>
+                <label htmlFor="batch-csv" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Pega un CSV con las columnas <code>text,voice,style,filename</code>
+                </label>
+                <textarea
+                    id="batch-csv"
+                    rows="8"
+                    className="w-full p-3 font-mono text-sm bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+                    value={csv}
+                    onChange={(e) => setCsv(e.target.value)}
+                />
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {items.length} fila(s). Si la voz está vacía se usa {defaultVoice || 'la voz seleccionada'}.
+                </p>
+                {limitErrors.map(message => (
+                    <p key={message} className="text-sm text-red-500">{message}</p>
+                ))}
+                {unknownVoices.length > 0 && (
+                    <p className="text-sm text-red-500">
+                        Voces desconocidas para este proveedor: {[...new Set(unknownVoices.map(item => item.voice))].join(', ')}
+                    </p>
+                )}
+            </div>
+
+            <div className="flex flex-col sm:flex-row items-center justify-center gap-2">
+                <select
+                    aria-label="Formato del lote"
+                    className="w-full sm:w-auto p-2 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+                    value={format}
+                    onChange={(e) => setFormat(e.target.value)}
+                >
+                    {batchFormats.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+                <button
+                    onClick={handleSubmit}
+                    disabled={isSubmitting || (job && !isFinished(job) && !isPollStopped) || items.length === 0 || hasMissingText || unknownVoices.length > 0 || limitErrors.length > 0}
+                    className="w-full sm:w-auto px-8 py-2 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {isSubmitting ? 'Enviando...' : 'Generar lote'}
+                </button>
+            </div>
+
+            {error && <p className="text-center text-red-500">{error}</p>}
+            {pollError && <p className="text-center text-red-500">{pollError}</p>}
+
+            {job && (
+                <div className="space-y-1">
+                    <div className="w-full h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                        <div
+                            className="h-full bg-blue-500 transition-all duration-300"
+                            style={{ width: `${((job.completed + job.failed) / job.total) * 100}%` }}
+                        ></div>
+                    </div>
+                    <p className="text-center text-sm text-gray-500 dark:text-gray-400">
+                        {jobStatusLabels[job.status]}: {job.completed} listos, {job.failed} con error, de {job.total}
+                    </p>
+                </div>
+            )}
+
+            {jobItems.length > 0 && (
+                <div className="max-h-96 overflow-y-auto">
+                    <table className="w-full text-sm text-left">
+                        <thead className="text-gray-500 dark:text-gray-400">
+                            <tr>
+                                <th className="p-2">#</th>
+                                <th className="p-2">Archivo</th>
+                                <th className="p-2">Texto</th>
+                                <th className="p-2">Estado</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {jobItems.map(item => {
+                                const message = item.error || rowErrors[item.index];
+                                return (
+                                    <tr key={item.index} className="border-t border-gray-200 dark:border-gray-700 align-top">
+                                        <td className="p-2">{item.index + 1}</td>
+                                        <td className="p-2 truncate max-w-32">{item.filename || '—'}</td>
+                                        <td className="p-2 line-clamp-2">{rows[item.index]?.text}</td>
+                                        <td className={`p-2 ${item.status === 'failed' || (!job && message) ? 'text-red-500' : ''}`}>
+                                            {item.status ? itemStatusLabels[item.status] : 'Pendiente'}
+                                            {item.attempts > 1 && ` (intento ${item.attempts})`}
+                                            {message && <span className="block text-xs">{message}</span>}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {isFinished(job) && job.completed > 0 && (
+                <div className="flex justify-center">
+                    <button
+                        onClick={handleDownload}
+                        disabled={isDownloading}
+                        className="px-6 py-2 bg-green-600 text-white font-semibold rounded-lg shadow-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        {isDownloading ? 'Preparando ZIP...' : 'Descargar ZIP'}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+function matchesSearch(entry, query) {
+    if (!query) return true;
+    const haystack = [entry.text, entry.voice, entry.style, ...Object.values(entry.speakers || {})]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+    return haystack.includes(query.toLowerCase());
+}
+
+// --- Panel de historial de generaciones ---
+export default function HistoryPanel({ entries, storage, onReplay, onDownload, onRegenerate, onDelete, onClear }) {
+    const [query, setQuery] = useState('');
+    const visibleEntries = entries.filter(entry => matchesSearch(entry, query.trim()));
+    const usedPercent = storage && storage.quota ? Math.min(100, (storage.usage / storage.quota) * 100) : 0;
+
+    const handleClear = () => {
+        if (window.confirm('¿Borrar todo el historial? Esta acción no se puede deshacer.')) {
+            onClear();
+        }
+    };
+
+    return (
+        <div className="space-y-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+            <div className="flex justify-between items-center">
+                <h2 className="text-lg font-semibold text-gray-800 dark:text-white">Historial</h2>
+                <button
+                    onClick={handleClear}
+                    disabled={entries.length === 0}
+                    className="text-sm text-red-500 hover:underline disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    Borrar todo
+                </button>
+            </div>
+
+            {storage && (
+                <div className="space-y-1">
+                    <div className="w-full h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                        <div className="h-full bg-blue-500" style={{ width: `${usedPercent}%` }}></div>
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                        Almacenamiento: {formatBytes(storage.usage)} de {formatBytes(storage.quota)} ({usedPercent.toFixed(1)}%)
+                    </p>
+                </div>
+            )}
+
+            <input
+                type="search"
+                aria-label="Buscar en el historial"
+                className="w-full p-2 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+                placeholder="Buscar por texto, voz o estilo..."
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+            />
+
+            {visibleEntries.length === 0 ? (
+                <p className="text-sm text-center text-gray-500 dark:text-gray-400">
+                    {entries.length === 0 ? 'Todavía no hay audios generados.' : 'Ninguna entrada coincide con la búsqueda.'}
+                </p>
+            ) : (
+                <ul className="space-y-2 max-h-96 overflow-y-auto">
+                    {visibleEntries.map(entry => (
+                        <li key={entry.id} className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg space-y-2">
+                            <p className="text-sm text-gray-800 dark:text-gray-100 line-clamp-2">{entry.text}</p>
+                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                                {new Date(entry.createdAt).toLocaleString()}
+                                {' · '}
+                                {entry.mode === 'dialogue' ? `Diálogo (${Object.keys(entry.speakers || {}).length} hablantes)` : entry.voice}
+                                {entry.style && ` · ${entry.style}`}
+                                {` · ${entry.tempo.toFixed(1)}x`}
+                                {entry.pitchSemitones !== 0 && ` · ${entry.pitchSemitones > 0 ? '+' : ''}${entry.pitchSemitones} st`}
+                            </p>
+                            <div className="flex flex-wrap gap-3 text-sm">
+                                <button onClick={() => onReplay(entry)} className="text-blue-500 hover:underline">Reproducir</button>
+                                <button onClick={() => onDownload(entry)} className="text-green-600 hover:underline">Descargar</button>
+                                <button onClick={() => onRegenerate(entry)} className="text-blue-500 hover:underline">Regenerar con cambios</button>
+                                <button onClick={() => onDelete(entry.id)} className="text-red-500 hover:underline">Eliminar</button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../utils/api';
+import { readErrorResponse, describeError } from '../utils/errors';
+
+const localeLabels = {
+    '': 'Todos',
+    es: 'Español',
+    en: 'English',
+};
+
+const emptyEntry = { term: '', replacement: '', locale: '', caseSensitive: false };
+
+const inputClassName = 'w-full p-2 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition';
+
+// El backend usa null para "todos los idiomas"; el select, la cadena vacía.
+const toPayload = (entry) => ({ ...entry, locale: entry.locale || null });
+
+// Campos de una entrada, compartidos por el formulario de alta y la edición.
+function EntryFields({ entry, onChange }) {
+    return (
+        <>
+            <input
+                aria-label="Término"
+                className={inputClassName}
+                placeholder="Término, p. ej. SQL"
+                value={entry.term}
+                onChange={(e) => onChange({ ...entry, term: e.target.value })}
+            />
+            <input
+                aria-label="Pronunciación"
+                className={inputClassName}
+                placeholder="Pronunciación, p. ej. esecuela"
+                value={entry.replacement}
+                onChange={(e) => onChange({ ...entry, replacement: e.target.value })}
+            />
+            <select
+                aria-label="Idioma"
+                className={inputClassName}
+                value={entry.locale}
+                onChange={(e) => onChange({ ...entry, locale: e.target.value })}
+            >
+                {Object.entries(localeLabels).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                ))}
+            </select>
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                <input type="checkbox" checked={entry.caseSensitive} onChange={(e) => onChange({ ...entry, caseSensitive: e.target.checked })} />
+                Mayúsculas
+            </label>
+        </>
+    );
+}
+
+// --- Editor del diccionario de pronunciación ---
+// Cada entrada sustituye un término por cómo debe leerse antes de enviar el
+// texto al modelo. El diccionario se guarda en el backend y lo comparten
+// todas las generaciones.
+export default function LexiconEditor({ apiBaseUrl }) {
+    const [entries, setEntries] = useState([]);
+    const [draft, setDraft] = useState(emptyEntry);
+    const [editing, setEditing] = useState(null);
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const request = useCallback(async (path, options = {}) => {
+        const response = await apiFetch(`${apiBaseUrl}/lexicon${path}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json' },
+        });
+        if (!response.ok) throw await readErrorResponse(response);
+        return response.status === 204 ? null : response.json();
+    }, [apiBaseUrl]);
+
+    const refresh = useCallback(async () => {
+        try {
+            const data = await request('');
+            setEntries(data.entries);
+        } catch (loadError) {
+            console.error("Error al leer el diccionario:", loadError);
+            setError(`No se pudo cargar el diccionario: ${describeError(loadError).message}`);
+        }
+    }, [request]);
+
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    // Ejecuta una operación, muestra su error si falla y recarga la lista.
+    const save = async (operation) => {
+        setIsSaving(true);
+        setError('');
+        try {
+            await operation();
+            await refresh();
+            return true;
+        } catch (saveError) {
+            console.error("Error al guardar el diccionario:", saveError);
+            setError(describeError(saveError).message);
+            return false;
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleAdd = async () => {
+        const saved = await save(() => request('', { method: 'POST', body: JSON.stringify(toPayload(draft)) }));
+        if (saved) setDraft(emptyEntry);
+    };
+
+    const handleUpdate = async () => {
+        const { id, ...fields } = editing;
+        const saved = await save(() => request(`/${id}`, { method: 'PUT', body: JSON.stringify(toPayload(fields)) }));
+        if (saved) setEditing(null);
+    };
+
+    const handleDelete = (id) => save(() => request(`/${id}`, { method: 'DELETE' }));
+
+    return (
+        <div className="space-y-4">
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+                Indica cómo deben leerse siglas, marcas o nombres propios. Se aplican antes que el resto de la normalización, solo si "Normalizar texto" está activo.
+            </p>
+
+            <div className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_auto_auto_auto] items-center gap-2">
+                <EntryFields entry={draft} onChange={setDraft} />
+                <button
+                    onClick={handleAdd}
+                    disabled={isSaving || !draft.term.trim() || !draft.replacement.trim()}
+                    className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    Añadir
+                </button>
+            </div>
+
+            {error && <p className="text-center text-red-500">{error}</p>}
+
+            {entries.length === 0 ? (
+                <p className="text-center text-sm text-gray-500 dark:text-gray-400">El diccionario está vacío.</p>
+            ) : (
+                <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                    {entries.map(entry => (
+                        <li key={entry.id} className="py-2">
+                            {editing?.id === entry.id ? (
+                                <div className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_auto_auto_auto] items-center gap-2">
+                                    <EntryFields entry={editing} onChange={setEditing} />
+                                    <div className="flex gap-2">
+                                        <button onClick={handleUpdate} disabled={isSaving} className="text-sm text-blue-500 hover:underline disabled:opacity-50">Guardar</button>
+                                        <button onClick={() => setEditing(null)} className="text-sm text-gray-500 hover:underline">Cancelar</button>
+                                    </div>
+                                </div>
+                            ) : (
+                                <div className="flex items-center justify-between gap-2 text-sm">
+                                    <span className="truncate">
+                                        <strong>{entry.term}</strong> → {entry.replacement}
+                                        <span className="ml-2 text-gray-500 dark:text-gray-400">
+                                            {localeLabels[entry.locale || '']}{entry.caseSensitive ? ', distingue mayúsculas' : ''}
+                                        </span>
+                                    </span>
+                                    <div className="flex gap-2 shrink-0">
+                                        <button onClick={() => setEditing({ ...entry, locale: entry.locale || '' })} className="text-blue-500 hover:underline">Editar</button>
+                                        <button onClick={() => handleDelete(entry.id)} disabled={isSaving} className="text-red-500 hover:underline disabled:opacity-50">Borrar</button>
+                                    </div>
+                                </div>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,38 @@
+import React from 'react';
+
+// --- Vista previa del texto normalizado ---
+// Muestra, fragmento a fragmento, el texto tal como se enviará al modelo y,
+// si difiere, el prompt completo que lo acompaña.
+export default function NormalizedPreview({ preview, onClose }) {
+    const speechCount = preview.chunks.filter(chunk => chunk.type === 'speech').length;
+
+    return (
+        <div className="p-3 space-y-2 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg">
+            <div className="flex justify-between items-center">
+                <p className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                    {preview.normalize ? `Texto normalizado (${preview.locale})` : 'Texto sin normalizar'}: {speechCount} fragmento(s)
+                </p>
+                <button onClick={onClose} className="text-sm text-blue-500 hover:underline">Cerrar</button>
+            </div>
+            <ol className="max-h-72 overflow-y-auto space-y-2 text-sm">
+                {preview.chunks.map((chunk, index) => (
+                    <li key={index} className="border-t border-gray-200 dark:border-gray-600 pt-2">
+                        {chunk.type === 'pause' ? (
+                            <span className="italic text-gray-500 dark:text-gray-400">[pausa de {chunk.ms} ms]</span>
+                        ) : (
+                            <>
+                                <p className="whitespace-pre-wrap">{chunk.text}</p>
+                                {chunk.prompt !== chunk.text && (
+                                    <details className="mt-1 text-gray-500 dark:text-gray-400">
+                                        <summary className="cursor-pointer">Prompt completo</summary>
+                                        <pre className="whitespace-pre-wrap font-mono text-xs">{chunk.prompt}</pre>
+                                    </details>
+                                )}
+                            </>
+                        )}
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+}
@@ -0,0 +1,106 @@
+import React from 'react';
+
+const inputClassName = 'w-24 p-2 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition';
+const labelClassName = 'flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300';
+
+// --- Ajustes de la cadena de postprocesado ---
+// Todo se aplica en el navegador sobre el audio ya generado, así que cambiar
+// un ajuste no vuelve a llamar a la API. `loudness` es la sonoridad medida
+// del resultado (null si la cadena está desactivada).
+export default function PostProcessingPanel({ settings, onChange, musicBed, onMusicFile, onRemoveMusic, loudness }) {
+    const update = (changes) => onChange({ ...settings, ...changes });
+    const numberValue = (e) => (e.target.value === '' ? 0 : Number(e.target.value));
+
+    return (
+        <details className="p-3 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg">
+            <summary className="cursor-pointer text-sm font-medium text-gray-700 dark:text-gray-300">
+                Postprocesado{Number.isFinite(loudness) ? ` (sonoridad actual: ${loudness.toFixed(1)} LUFS)` : ''}
+            </summary>
+            <div className="mt-3 space-y-3">
+                <div className="flex flex-wrap items-center gap-4">
+                    <label className={labelClassName}>
+                        <input type="checkbox" checked={settings.normalizeLoudness} onChange={(e) => update({ normalizeLoudness: e.target.checked })} />
+                        Normalizar sonoridad a
+                    </label>
+                    <label className={labelClassName}>
+                        <input
+                            type="number"
+                            aria-label="Sonoridad objetivo en LUFS"
+                            min="-30"
+                            max="-10"
+                            step="1"
+                            className={inputClassName}
+                            value={settings.targetLufs}
+                            disabled={!settings.normalizeLoudness}
+                            onChange={(e) => update({ targetLufs: numberValue(e) })}
+                        />
+                        LUFS
+                    </label>
+                    <label className={labelClassName}>
+                        <input type="checkbox" checked={settings.trimSilence} onChange={(e) => update({ trimSilence: e.target.checked })} />
+                        Recortar silencio inicial y final
+                    </label>
+                </div>
+                <div className="flex flex-wrap items-center gap-4">
+                    <label className={labelClassName}>
+                        Fundido de entrada
+                        <input type="number" min="0" max="5000" step="50" className={inputClassName} value={settings.fadeInMs} onChange={(e) => update({ fadeInMs: numberValue(e) })} />
+                        ms
+                    </label>
+                    <label className={labelClassName}>
+                        Fundido de salida
+                        <input type="number" min="0" max="5000" step="50" className={inputClassName} value={settings.fadeOutMs} onChange={(e) => update({ fadeOutMs: numberValue(e) })} />
+                        ms
+                    </label>
+                </div>
+                <div className="space-y-2">
+                    <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                        <span>Música de fondo:</span>
+                        {musicBed ? (
+                            <>
+                                <span className="truncate max-w-48">{musicBed.name}</span>
+                                <button onClick={onRemoveMusic} className="text-red-500 hover:underline">Quitar</button>
+                            </>
+                        ) : (
+                            <input
+                                type="file"
+                                accept="audio/*"
+                                aria-label="Archivo de música de fondo"
+                                className="text-sm"
+                                onChange={(e) => e.target.files[0] && onMusicFile(e.target.files[0])}
+                            />
+                        )}
+                    </div>
+                    {musicBed && (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <label className="block text-sm text-gray-700 dark:text-gray-300">
+                                Volumen de la música: <span className="font-bold text-blue-500">{settings.musicGainDb} dB</span>
+                                <input
+                                    type="range"
+                                    min="-40"
+                                    max="-6"
+                                    step="1"
+                                    value={settings.musicGainDb}
+                                    onChange={(e) => update({ musicGainDb: parseInt(e.target.value, 10) })}
+                                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer dark:bg-gray-600"
+                                />
+                            </label>
+                            <label className="block text-sm text-gray-700 dark:text-gray-300">
+                                Atenuación bajo la voz: <span className="font-bold text-blue-500">{settings.duckingDb} dB</span>
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max="24"
+                                    step="1"
+                                    value={settings.duckingDb}
+                                    onChange={(e) => update({ duckingDb: parseInt(e.target.value, 10) })}
+                                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer dark:bg-gray-600"
+                                />
+                            </label>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </details>
+    );
+}
@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+
+const controlClassName = 'p-2 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition';
+
+// --- Selector de presets de voz ---
+// El desplegable muestra el preset que coincide con los ajustes actuales o
+// "Personalizado" si se modificó alguno.
+export default function PresetPicker({ presets, activePreset, onApply, onSave, onDelete }) {
+    const [newName, setNewName] = useState('');
+
+    const handleSave = () => {
+        onSave(newName.trim());
+        setNewName('');
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            <select
+                aria-label="Preset de voz"
+                className={`flex-1 min-w-40 ${controlClassName}`}
+                value={activePreset || ''}
+                onChange={(e) => onApply(presets.find(preset => preset.name === e.target.value))}
+            >
+                <option value="" disabled>{presets.length > 0 ? 'Personalizado' : 'Sin presets guardados'}</option>
+                {presets.map(preset => (
+                    <option key={preset.name} value={preset.name}>{preset.name}</option>
+                ))}
+            </select>
+            {activePreset && (
+                <button onClick={() => onDelete(activePreset)} className="text-sm text-red-500 hover:underline">Borrar</button>
+            )}
+            <input
+                aria-label="Nombre del nuevo preset"
+                className={`w-40 ${controlClassName}`}
+                placeholder="Nombre del preset"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+            />
+            <button
+                onClick={handleSave}
+                disabled={!newName.trim()}
+                className="text-sm text-blue-500 hover:underline disabled:opacity-50"
+            >
+                {presets.some(preset => preset.name === newName.trim()) ? 'Sobrescribir preset' : 'Guardar como preset'}
+            </button>
+        </div>
+    );
+}
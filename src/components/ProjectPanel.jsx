@@ -0,0 +1,59 @@
+import React, { useRef } from 'react';
+
+// --- Segmentos y archivo de proyecto ---
+// Los segmentos son textos guardados con el preset que deben usar; el
+// proyecto (texto, presets y segmentos) se exporta e importa como JSON.
+export default function ProjectPanel({ segments, activePreset, onAddSegment, onLoadSegment, onRemoveSegment, onExport, onImport, importErrors }) {
+    const fileInputRef = useRef(null);
+
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        // Permite volver a elegir el mismo archivo después de corregirlo.
+        e.target.value = '';
+        if (file) onImport(file);
+    };
+
+    return (
+        <details className="p-3 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg">
+            <summary className="cursor-pointer text-sm font-medium text-gray-700 dark:text-gray-300">
+                Proyecto: {segments.length} segmento(s)
+            </summary>
+            <div className="mt-3 space-y-3">
+                <div className="flex flex-wrap gap-4 text-sm">
+                    <button onClick={onAddSegment} className="text-blue-500 hover:underline">
+                        Añadir el texto actual como segmento{activePreset ? ` (${activePreset})` : ''}
+                    </button>
+                    <button onClick={onExport} className="text-blue-500 hover:underline">Exportar proyecto</button>
+                    <button onClick={() => fileInputRef.current.click()} className="text-blue-500 hover:underline">Importar proyecto</button>
+                    <input ref={fileInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleFile} />
+                </div>
+
+                {importErrors.length > 0 && (
+                    <div className="text-sm text-red-500">
+                        <p>No se pudo importar el proyecto:</p>
+                        <ul className="list-disc list-inside">
+                            {importErrors.map(error => <li key={error}>{error}</li>)}
+                        </ul>
+                    </div>
+                )}
+
+                {segments.length > 0 && (
+                    <ol className="divide-y divide-gray-200 dark:divide-gray-600 text-sm">
+                        {segments.map((segment, index) => (
+                            <li key={index} className="py-2 flex items-center justify-between gap-2">
+                                <span className="truncate">
+                                    {index + 1}. {segment.text}
+                                    <span className="ml-2 text-gray-500 dark:text-gray-400">{segment.preset || 'sin preset'}</span>
+                                </span>
+                                <div className="flex gap-2 shrink-0">
+                                    <button onClick={() => onLoadSegment(segment)} className="text-blue-500 hover:underline">Cargar</button>
+                                    <button onClick={() => onRemoveSegment(index)} className="text-red-500 hover:underline">Quitar</button>
+                                </div>
+                            </li>
+                        ))}
+                    </ol>
+                )}
+            </div>
+        </details>
+    );
+}
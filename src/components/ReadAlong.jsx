@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react';
+
+// --- Lectura sincronizada ---
+// Resalta la palabra que está sonando en el <audio> y permite saltar a
+// cualquier palabra haciendo clic en ella. `timings` ya viene escalado al
+// tempo del audio.
+export default function ReadAlong({ timings, audioRef }) {
+    const [currentTime, setCurrentTime] = useState(0);
+
+    // timeupdate llega pocas veces por segundo; mientras suena se sigue el
+    // audio en cada frame para que el resaltado no vaya a saltos.
+    useEffect(() => {
+        const audio = audioRef.current;
+        if (!audio) return;
+        let frame = null;
+        const tick = () => {
+            setCurrentTime(audio.currentTime);
+            frame = requestAnimationFrame(tick);
+        };
+        const start = () => {
+            cancelAnimationFrame(frame);
+            tick();
+        };
+        const stop = () => {
+            cancelAnimationFrame(frame);
+            setCurrentTime(audio.currentTime);
+        };
+        audio.addEventListener('play', start);
+        audio.addEventListener('pause', stop);
+        audio.addEventListener('seeked', stop);
+        audio.addEventListener('ended', stop);
+        if (!audio.paused) start();
+        return () => {
+            cancelAnimationFrame(frame);
+            audio.removeEventListener('play', start);
+            audio.removeEventListener('pause', stop);
+            audio.removeEventListener('seeked', stop);
+            audio.removeEventListener('ended', stop);
+        };
+    }, [audioRef, timings]);
+
+    const handleSeek = (word) => {
+        const audio = audioRef.current;
+        if (!audio) return;
+        audio.currentTime = word.start;
+        audio.play();
+    };
+
+    return (
+        <div className="max-h-60 overflow-y-auto p-3 bg-gray-50 dark:bg-gray-700 rounded-lg leading-relaxed">
+            {timings.map((sentence, sentenceIndex) => (
+                <span key={sentenceIndex}>
+                    {sentence.words.map((word, wordIndex) => {
+                        const isCurrent = currentTime >= word.start && currentTime < word.end;
+                        return (
+                            <React.Fragment key={wordIndex}>
+                                <span
+                                    onClick={() => handleSeek(word)}
+                                    className={`cursor-pointer rounded px-0.5 transition-colors ${isCurrent ? 'bg-yellow-300 text-gray-900' : 'hover:bg-gray-200 dark:hover:bg-gray-600'}`}
+                                >
+                                    {word.text}
+                                </span>
+                                {' '}
+                            </React.Fragment>
+                        );
+                    })}
+                </span>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+
+function formatRemaining(remaining, limit) {
+    return limit === null ? 'sin límite' : `${remaining.toLocaleString()} de ${limit.toLocaleString()}`;
+}
+
+// --- Clave de API y cuota restante ---
+export default function UsagePanel({ apiKey, usage, onApiKeyChange }) {
+    const [draftKey, setDraftKey] = useState(apiKey);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onApiKeyChange(draftKey.trim());
+    };
+
+    return (
+        <div className="space-y-2 p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
+            <form onSubmit={handleSubmit} className="flex gap-2">
+                <input
+                    type="password"
+                    aria-label="Clave de API"
+                    autoComplete="off"
+                    className="flex-1 p-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+                    placeholder="Clave de API (si el servidor la exige)"
+                    value={draftKey}
+                    onChange={(e) => setDraftKey(e.target.value)}
+                />
+                <button type="submit" className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition">
+                    Guardar
+                </button>
+            </form>
+            {usage && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {usage.anonymous ? 'Sin clave' : `Cliente: ${usage.client}`}
+                    {' · '}Peticiones hoy: {formatRemaining(usage.windows.day.remainingRequests, usage.windows.day.requestLimit)}
+                    {' · '}Caracteres hoy: {formatRemaining(usage.windows.day.remainingChars, usage.windows.day.charLimit)}
+                    {' · '}Este minuto: {formatRemaining(usage.windows.minute.remainingRequests, usage.windows.minute.requestLimit)} peticiones
+                    {usage.maxima && (
+                        <>
+                            {' · '}Por petición: {usage.maxima.textChars.toLocaleString()} caracteres por texto, {usage.maxima.jobItems.toLocaleString()} elementos por lote
+                        </>
+                    )}
+                </p>
+            )}
+        </div>
+    );
+}
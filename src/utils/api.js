@@ -0,0 +1,45 @@
+// --- Llamadas al backend con la clave de API del usuario ---
+// La clave se guarda en localStorage y se envía en la cabecera X-API-Key.
+
+const API_KEY_STORAGE = 'tts-api-key';
+
+export function getApiKey() {
+    return localStorage.getItem(API_KEY_STORAGE) || '';
+}
+
+export function setApiKey(key) {
+    if (key) {
+        localStorage.setItem(API_KEY_STORAGE, key);
+    } else {
+        localStorage.removeItem(API_KEY_STORAGE);
+    }
+}
+
+export function apiFetch(url, options = {}) {
+    const apiKey = getApiKey();
+    const headers = apiKey ? { ...options.headers, 'X-API-Key': apiKey } : options.headers;
+    return fetch(url, { ...options, headers });
+}
+
+// Lee una respuesta NDJSON y llama a `onEvent` con cada evento. Si `onEvent`
+// devuelve algo distinto de undefined, se deja de leer y se devuelve ese valor.
+export async function readNdjson(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    while (true) {
+        const { done, value } = await reader.read();
+        buffered += decoder.decode(value, { stream: !done });
+        const lines = buffered.split('\n');
+        buffered = done ? '' : lines.pop();
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            const result = onEvent(JSON.parse(line));
+            if (result !== undefined) {
+                reader.cancel();
+                return result;
+            }
+        }
+        if (done) return undefined;
+    }
+}
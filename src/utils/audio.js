@@ -0,0 +1,84 @@
+// --- Funciones auxiliares para la conversión de audio ---
+
+export function base64ToArrayBuffer(base64) {
+    const binaryString = window.atob(base64);
+    const len = binaryString.length;
+    const bytes = new Uint8Array(len);
+    for (let i = 0; i < len; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
+
+// Frecuencia de muestreo de un mimeType como "audio/L16;codec=pcm;rate=24000".
+export function parseSampleRate(mimeType) {
+    const match = (mimeType || '').match(/rate=(\d+)/);
+    return match ? parseInt(match[1], 10) : 24000;
+}
+
+function writeString(view, offset, string) {
+    for (let i = 0; i < string.length; i++) {
+        view.setUint8(offset + i, string.charCodeAt(i));
+    }
+}
+
+export function pcmToWav(pcmData, sampleRate) {
+    const numSamples = pcmData.length;
+    const numChannels = 1;
+    const bytesPerSample = 2;
+    const blockAlign = numChannels * bytesPerSample;
+    const byteRate = sampleRate * blockAlign;
+    const dataSize = numSamples * bytesPerSample;
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, byteRate, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, 16, true);
+    writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    for (let i = 0; i < numSamples; i++) {
+        view.setInt16(44 + i * 2, pcmData[i], true);
+    }
+
+    return new Blob([view], { type: 'audio/wav' });
+}
+
+// Inversa de pcmToWav: lee la frecuencia de la cabecera y devuelve las muestras.
+export function wavToPcm(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    const sampleRate = view.getUint32(24, true);
+    const dataSize = view.getUint32(40, true);
+    return { samples: new Int16Array(arrayBuffer.slice(44, 44 + dataSize)), sampleRate };
+}
+
+// Decodifica un archivo de audio (mp3, wav, ogg...) a muestras mono en coma
+// flotante a la frecuencia pedida; se usa para la base musical.
+export async function decodeAudioFile(file, sampleRate) {
+    const context = new OfflineAudioContext(1, 1, sampleRate);
+    const buffer = await context.decodeAudioData(await file.arrayBuffer());
+    const samples = new Float32Array(buffer.length);
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const data = buffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) samples[i] += data[i] / buffer.numberOfChannels;
+    }
+    return { samples, sampleRate: buffer.sampleRate };
+}
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,44 @@
+import { isNeutral } from './soundtouch';
+import { isPostProcessingNeutral } from './postProcessing';
+
+// --- Cliente del worker de procesado de audio ---
+
+let worker = null;
+let nextId = 0;
+const pending = new Map();
+
+function getWorker() {
+    if (!worker) {
+        worker = new Worker(new URL('../workers/soundtouch.worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (event) => {
+            const { id, result, error } = event.data;
+            const request = pending.get(id);
+            if (!request) return;
+            pending.delete(id);
+            if (error) {
+                request.reject(new Error(error));
+            } else {
+                request.resolve(result);
+            }
+        };
+    }
+    return worker;
+}
+
+/**
+ * Aplica tempo y tono y después la cadena de postprocesado
+ * (`settings.postProcessing`, con la base musical opcional en
+ * `settings.music`) al PCM en un Web Worker. Devuelve { samples,
+ * trimmedStart, loudness } (ver applyPostProcessing).
+ * El array original no se transfiere, así que puede reprocesarse con otros ajustes.
+ */
+export function processPcmInWorker(samples, sampleRate, settings) {
+    if (isNeutral(settings) && isPostProcessingNeutral(settings.postProcessing, settings.music)) {
+        return Promise.resolve({ samples, trimmedStart: 0, loudness: null });
+    }
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        getWorker().postMessage({ id, samples, sampleRate, settings });
+    });
+}
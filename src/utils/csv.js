@@ -0,0 +1,57 @@
+// --- Lectura de CSV pegado por el usuario ---
+// Admite campos entre comillas (con "" para una comilla literal y saltos de
+// línea dentro) y detecta si el separador es coma o punto y coma.
+
+function detectDelimiter(source) {
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+}
+
+export function parseCsv(source) {
+    const delimiter = detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Convierte las filas en objetos usando la primera como cabecera (en
+// minúsculas y sin espacios).
+export function csvToObjects(source) {
+    const [header, ...rows] = parseCsv(source);
+    if (!header) return [];
+    const keys = header.map(key => key.trim().toLowerCase());
+    return rows.map(cells => Object.fromEntries(keys.map((key, i) => [key, (cells[i] || '').trim()])));
+}
@@ -0,0 +1,15 @@
+// --- Detección de hablantes en guiones "Hablante: línea" ---
+// Debe coincidir con el formato que acepta backend/lib/dialogue.js.
+
+const TURN_REGEX = /^\s*([^:\n]{1,40}?)\s*:\s*(.*)$/;
+
+export function extractSpeakers(script) {
+    const speakers = [];
+    for (const line of script.split(/\r?\n/)) {
+        const match = line.match(TURN_REGEX);
+        if (match && match[2].trim() && !speakers.includes(match[1])) {
+            speakers.push(match[1]);
+        }
+    }
+    return speakers;
+}
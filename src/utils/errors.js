@@ -0,0 +1,72 @@
+// --- Errores de la API ---
+// El backend responde { error, code } (ver backend/lib/errors). Aquí cada
+// código se traduce a un mensaje con lo que puede hacer el usuario y se
+// decide si tiene sentido ofrecer "Reintentar".
+
+export class ApiError extends Error {
+    constructor(message, { code = 'INTERNAL_ERROR', status = null, details = null, retryAfterSeconds = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
+// `detail`: si se añade el mensaje del servidor, que explica qué falló.
+const ERROR_MESSAGES = {
+    INVALID_INPUT: { message: 'La petición no es válida.', action: 'Corrige el texto o los ajustes y vuelve a generar.', detail: true },
+    UNAUTHORIZED: { message: 'La clave de API falta o no es válida.', action: 'Revisa la clave en el panel de uso.', detail: false },
+    NOT_FOUND: { message: 'El recurso ya no existe.', action: 'Vuelve a crearlo.', detail: true },
+    CONFLICT: { message: 'La operación no es posible en este momento.', action: 'Espera a que termine lo que está en curso.', detail: true },
+    QUOTA_EXCEEDED: { message: 'Has agotado tu cuota de uso.', action: 'Espera a que se renueve o pide más cuota.', retryable: true, detail: true },
+    UPSTREAM_RATE_LIMITED: { message: 'El proveedor de voz está recibiendo demasiadas peticiones.', action: 'Espera unos segundos y reintenta.', retryable: true },
+    UPSTREAM_SAFETY_BLOCKED: { message: 'Los filtros de seguridad del proveedor bloquearon el texto.', action: 'Reformula las partes que puedan considerarse sensibles.' },
+    NO_AUDIO: { message: 'El proveedor respondió sin audio.', action: 'Suele ser pasajero: reintenta o prueba con otra voz.', retryable: true },
+    UPSTREAM_ERROR: { message: 'El proveedor de voz devolvió un error.', action: 'Reintenta en unos momentos.', retryable: true, detail: true },
+    PROVIDER_NOT_CONFIGURED: { message: 'El proveedor elegido no está configurado en el servidor.', action: 'Elige otro proveedor o avisa al administrador.' },
+    TIMEOUT: { message: 'El proveedor tardó demasiado en responder.', action: 'Reintenta; con textos largos, divídelos en partes.', retryable: true },
+    NETWORK: { message: 'No se pudo conectar con el servidor.', action: 'Comprueba tu conexión y reintenta.', retryable: true },
+    INTERNAL_ERROR: { message: 'Error interno del servidor.', action: 'Reintenta en unos momentos.', retryable: true, detail: true },
+};
+
+/**
+ * Convierte una respuesta no correcta en un ApiError sin suponer que el
+ * cuerpo es JSON: un proxy o un servidor caído pueden devolver HTML o nada.
+ */
+export async function readErrorResponse(response) {
+    const body = await response.text().catch(() => '');
+    let data = null;
+    try {
+        data = JSON.parse(body);
+    } catch {
+        // No es JSON: se usa el estado HTTP.
+    }
+    const retryAfterHeader = parseInt(response.headers.get('Retry-After'), 10);
+    const statusLine = [response.status, response.statusText].filter(Boolean).join(' ');
+    return new ApiError(data?.error || `Respuesta HTTP ${statusLine}.`, {
+        code: data?.code || (response.status === 429 ? 'QUOTA_EXCEEDED' : response.status >= 500 ? 'INTERNAL_ERROR' : 'INVALID_INPUT'),
+        status: response.status,
+        details: data?.errors || null,
+        retryAfterSeconds: data?.retryAfterSeconds || (Number.isFinite(retryAfterHeader) ? retryAfterHeader : null),
+    });
+}
+
+// Error de un evento { type: 'error', error, code } de una respuesta NDJSON.
+export function errorFromEvent(event) {
+    return new ApiError(event.error, { code: event.code, details: event.errors, retryAfterSeconds: event.retryAfterSeconds });
+}
+
+/**
+ * Mensaje para mostrar y si conviene ofrecer reintentar. Los errores que no
+ * vienen de la API (fetch rechazado) se tratan como fallos de red.
+ */
+export function describeError(error) {
+    const code = error instanceof ApiError ? error.code : error instanceof TypeError ? 'NETWORK' : 'INTERNAL_ERROR';
+    const info = ERROR_MESSAGES[code] || ERROR_MESSAGES.INTERNAL_ERROR;
+    const parts = [info.message];
+    if (info.detail && error.message && error.message !== info.message) parts.push(error.message);
+    parts.push(error.retryAfterSeconds ? `${info.action} Podrás reintentar en ${error.retryAfterSeconds} s.` : info.action);
+    return { code, message: parts.join(' '), retryable: Boolean(info.retryable) };
+}
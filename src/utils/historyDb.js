@@ -0,0 +1,64 @@
+// --- Historial de generaciones en IndexedDB ---
+
+const DB_NAME = 'tts-history';
+const DB_VERSION = 1;
+const STORE = 'generations';
+
+let dbPromise = null;
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDb() {
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('createdAt', 'createdAt');
+        };
+        dbPromise = promisify(request);
+    }
+    return dbPromise;
+}
+
+async function withStore(mode, fn) {
+    const db = await openDb();
+    const transaction = db.transaction(STORE, mode);
+    return promisify(fn(transaction.objectStore(STORE)));
+}
+
+/**
+ * Guarda una generación. `entry` incluye el texto, los ajustes usados y el
+ * audio original (`audioBlob`, WAV sin procesar); devuelve la entrada con su id.
+ */
+export async function addEntry(entry) {
+    const record = { ...entry, createdAt: Date.now() };
+    const id = await withStore('readwrite', store => store.add(record));
+    return { ...record, id };
+}
+
+// Devuelve todas las entradas, de la más reciente a la más antigua.
+export async function listEntries() {
+    const entries = await withStore('readonly', store => store.index('createdAt').getAll());
+    return entries.reverse();
+}
+
+export function deleteEntry(id) {
+    return withStore('readwrite', store => store.delete(id));
+}
+
+export function clearEntries() {
+    return withStore('readwrite', store => store.clear());
+}
+
+// Uso y cuota del almacenamiento del origen, en bytes (null si el navegador
+// no lo expone).
+export async function getStorageEstimate() {
+    if (!navigator.storage?.estimate) return null;
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+}
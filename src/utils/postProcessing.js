@@ -0,0 +1,213 @@
+// --- Cadena de postprocesado ---
+// Se aplica después del tempo y el tono, en este orden: recorte de silencios,
+// base musical con ducking, normalización de sonoridad y fundidos. Trabaja
+// con muestras en coma flotante (-1..1) y devuelve PCM de 16 bits.
+
+export const DEFAULT_POST_PROCESSING = {
+    normalizeLoudness: false,
+    targetLufs: -16,
+    trimSilence: false,
+    fadeInMs: 0,
+    fadeOutMs: 0,
+    // Volumen de la música respecto a la escala completa y cuánto se atenúa
+    // mientras hay voz.
+    musicGainDb: -20,
+    duckingDb: 12,
+};
+
+// Techo de pico tras normalizar (-1 dBFS) para no saturar.
+const PEAK_CEILING = Math.pow(10, -1 / 20);
+// Umbral por debajo del cual una ventana se considera silencio o ausencia de voz.
+const SILENCE_THRESHOLD_DB = -45;
+const ANALYSIS_WINDOW_MS = 10;
+// Silencio que se conserva antes y después de la voz al recortar.
+const TRIM_PADDING_MS = 120;
+const DUCK_ATTACK_MS = 60;
+const DUCK_RELEASE_MS = 400;
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+export function isPostProcessingNeutral(settings, music) {
+    const { normalizeLoudness, trimSilence, fadeInMs, fadeOutMs } = { ...DEFAULT_POST_PROCESSING, ...settings };
+    return !normalizeLoudness && !trimSilence && !fadeInMs && !fadeOutMs && !music;
+}
+
+const toFloat = (samples) => Float32Array.from(samples, value => value / 32768);
+
+function toInt16(samples) {
+    return Int16Array.from(samples, value => Math.round(Math.max(-1, Math.min(1, value)) * 32767));
+}
+
+// RMS en dBFS de cada ventana de ANALYSIS_WINDOW_MS.
+function windowLevels(samples, sampleRate) {
+    const size = Math.max(1, Math.round((sampleRate * ANALYSIS_WINDOW_MS) / 1000));
+    const levels = new Float32Array(Math.ceil(samples.length / size));
+    for (let w = 0; w < levels.length; w++) {
+        let sum = 0;
+        const end = Math.min(samples.length, (w + 1) * size);
+        for (let i = w * size; i < end; i++) sum += samples[i] * samples[i];
+        levels[w] = 10 * Math.log10(sum / (end - w * size) + 1e-12);
+    }
+    return { levels, size };
+}
+
+// --- Sonoridad (ITU-R BS.1770-4, mono) ---
+
+// Coeficientes del filtro de ponderación K para cualquier frecuencia de muestreo.
+function kWeightingFilters(sampleRate) {
+    let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+    const Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+        b: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+        a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+    };
+    K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+    const Qh = 0.5003270373238773;
+    a0 = 1 + K / Qh + K * K;
+    const highPass = {
+        b: [1, -2, 1],
+        a: [(2 * (K * K - 1)) / a0, (1 - K / Qh + K * K) / a0],
+    };
+    return [shelf, highPass];
+}
+
+function biquad(samples, { b, a }) {
+    const output = new Float32Array(samples.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const x = samples[i];
+        const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+        x2 = x1; x1 = x;
+        y2 = y1; y1 = y;
+        output[i] = y;
+    }
+    return output;
+}
+
+/**
+ * Sonoridad integrada en LUFS con bloques de 400 ms solapados al 75 % y las
+ * puertas absoluta (-70 LUFS) y relativa (-10 LU). -Infinity si es silencio.
+ */
+export function measureLoudness(samples, sampleRate) {
+    const weighted = kWeightingFilters(sampleRate).reduce(biquad, samples);
+    const blockSize = Math.round(sampleRate * 0.4);
+    const step = Math.round(sampleRate * 0.1);
+    const powers = [];
+    for (let start = 0; start + blockSize <= weighted.length || start === 0; start += step) {
+        const end = Math.min(weighted.length, start + blockSize);
+        let sum = 0;
+        for (let i = start; i < end; i++) sum += weighted[i] * weighted[i];
+        powers.push(sum / Math.max(1, end - start));
+        if (end === weighted.length) break;
+    }
+    const loudness = (power) => -0.691 + 10 * Math.log10(power);
+    const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+    const absolute = powers.filter(power => loudness(power) > -70);
+    if (absolute.length === 0) return -Infinity;
+    const relativeGate = loudness(mean(absolute)) - 10;
+    const gated = absolute.filter(power => loudness(power) > relativeGate);
+    return loudness(mean(gated));
+}
+
+// Lleva la sonoridad al objetivo sin que el pico supere PEAK_CEILING; si el
+// pico lo impide el resultado queda algo por debajo del objetivo.
+function normalizeLoudness(samples, sampleRate, targetLufs) {
+    const measured = measureLoudness(samples, sampleRate);
+    if (!Number.isFinite(measured)) return samples;
+    const peak = samples.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+    const gain = Math.min(dbToGain(targetLufs - measured), PEAK_CEILING / peak);
+    return samples.map(value => value * gain);
+}
+
+// --- Silencios y fundidos ---
+
+// Recorta el silencio inicial y final dejando TRIM_PADDING_MS de margen.
+// Devuelve también cuántas muestras se quitaron al principio.
+function trimSilence(samples, sampleRate) {
+    const { levels, size } = windowLevels(samples, sampleRate);
+    const first = levels.findIndex(level => level > SILENCE_THRESHOLD_DB);
+    if (first === -1) return { samples, trimmedStart: 0 };
+    const last = levels.length - 1 - [...levels].reverse().findIndex(level => level > SILENCE_THRESHOLD_DB);
+    const padding = Math.round((sampleRate * TRIM_PADDING_MS) / 1000);
+    const start = Math.max(0, first * size - padding);
+    const end = Math.min(samples.length, (last + 1) * size + padding);
+    return { samples: samples.slice(start, end), trimmedStart: start };
+}
+
+function applyFades(samples, sampleRate, fadeInMs, fadeOutMs) {
+    const fadeIn = Math.min(samples.length, Math.round((sampleRate * fadeInMs) / 1000));
+    const fadeOut = Math.min(samples.length, Math.round((sampleRate * fadeOutMs) / 1000));
+    for (let i = 0; i < fadeIn; i++) samples[i] *= i / fadeIn;
+    for (let i = 0; i < fadeOut; i++) samples[samples.length - 1 - i] *= i / fadeOut;
+    return samples;
+}
+
+// --- Base musical ---
+
+// Remuestrea con interpolación lineal; basta para una música de fondo.
+function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples;
+    const ratio = fromRate / toRate;
+    const output = new Float32Array(Math.floor(samples.length / ratio));
+    for (let i = 0; i < output.length; i++) {
+        const position = i * ratio;
+        const index = Math.floor(position);
+        const next = samples[Math.min(index + 1, samples.length - 1)];
+        output[i] = samples[index] + (next - samples[index]) * (position - index);
+    }
+    return output;
+}
+
+// Mezcla la música en bucle bajo la voz. La música baja `duckingDb` mientras
+// hay voz, con ataque rápido y liberación lenta para que no "bombee".
+function mixMusicBed(speech, sampleRate, music, { musicGainDb, duckingDb }) {
+    const bed = resample(music.samples, music.sampleRate, sampleRate);
+    if (bed.length === 0) return speech;
+    const { levels, size } = windowLevels(speech, sampleRate);
+    const baseGain = dbToGain(musicGainDb);
+    const duckedGain = dbToGain(musicGainDb - duckingDb);
+    const attack = 1 - Math.exp(-1 / ((sampleRate * DUCK_ATTACK_MS) / 1000));
+    const release = 1 - Math.exp(-1 / ((sampleRate * DUCK_RELEASE_MS) / 1000));
+
+    const output = new Float32Array(speech.length);
+    let gain = baseGain;
+    for (let i = 0; i < speech.length; i++) {
+        const target = levels[Math.floor(i / size)] > SILENCE_THRESHOLD_DB ? duckedGain : baseGain;
+        gain += (target - gain) * (target < gain ? attack : release);
+        output[i] = speech[i] + bed[i % bed.length] * gain;
+    }
+    return output;
+}
+
+/**
+ * Aplica la cadena a un PCM de 16 bits mono. `music` es opcional:
+ * { samples: Float32Array, sampleRate }. Devuelve { samples, trimmedStart,
+ * loudness }: trimmedStart en segundos (para desplazar las marcas de tiempo)
+ * y la sonoridad final en LUFS.
+ */
+export function applyPostProcessing(pcm, sampleRate, settings, music = null) {
+    const options = { ...DEFAULT_POST_PROCESSING, ...settings };
+    let samples = toFloat(pcm);
+    let trimmedStart = 0;
+
+    if (options.trimSilence) {
+        ({ samples, trimmedStart } = trimSilence(samples, sampleRate));
+    }
+    if (music) {
+        samples = mixMusicBed(samples, sampleRate, music, options);
+    }
+    if (options.normalizeLoudness) {
+        samples = normalizeLoudness(samples, sampleRate, options.targetLufs);
+    }
+    samples = applyFades(samples, sampleRate, options.fadeInMs, options.fadeOutMs);
+
+    return {
+        samples: toInt16(samples),
+        trimmedStart: trimmedStart / sampleRate,
+        loudness: measureLoudness(samples, sampleRate),
+    };
+}
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { applyPostProcessing, measureLoudness, isPostProcessingNeutral } from './postProcessing';
+
+const SAMPLE_RATE = 24000;
+
+// Seno en coma flotante (-1..1) de `seconds` segundos.
+function sine(frequency, amplitude, seconds, sampleRate = SAMPLE_RATE) {
+    return Float32Array.from({ length: Math.round(seconds * sampleRate) }, (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate));
+}
+
+// Concatena tramos (segundos de silencio o Float32Array) en PCM de 16 bits.
+function pcm(...parts) {
+    const pieces = parts.map(part => (typeof part === 'number' ? new Float32Array(Math.round(part * SAMPLE_RATE)) : part));
+    const samples = new Int16Array(pieces.reduce((total, piece) => total + piece.length, 0));
+    let offset = 0;
+    for (const piece of pieces) {
+        samples.set(piece.map(value => Math.round(value * 32767)), offset);
+        offset += piece.length;
+    }
+    return samples;
+}
+
+const peakOf = (samples) => samples.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+
+describe('measureLoudness', () => {
+    it('mide un seno de 997 Hz a 0,1 de amplitud en unos -23 LUFS', () => {
+        expect(measureLoudness(sine(997, 0.1, 3, 48000), 48000)).toBeCloseTo(-23, 1);
+    });
+
+    it('sube 6 LU al doblar la amplitud', () => {
+        const quiet = measureLoudness(sine(997, 0.1, 3), SAMPLE_RATE);
+        const loud = measureLoudness(sine(997, 0.2, 3), SAMPLE_RATE);
+        expect(loud - quiet).toBeCloseTo(6.02, 1);
+    });
+
+    it('devuelve -Infinity para el silencio', () => {
+        expect(measureLoudness(new Float32Array(SAMPLE_RATE), SAMPLE_RATE)).toBe(-Infinity);
+    });
+});
+
+describe('applyPostProcessing', () => {
+    it('no cambia el audio con los ajustes por defecto', () => {
+        const input = pcm(0.5, sine(440, 0.3, 1), 0.5);
+        const { samples, trimmedStart } = applyPostProcessing(input, SAMPLE_RATE, {});
+        expect(isPostProcessingNeutral({})).toBe(true);
+        expect(trimmedStart).toBe(0);
+        expect(samples.length).toBe(input.length);
+        expect(samples.every((value, i) => Math.abs(value - input[i]) <= 1)).toBe(true);
+    });
+
+    it('recorta el silencio dejando 120 ms de margen e informa de lo quitado al principio', () => {
+        const input = pcm(0.5, sine(440, 0.3, 1), 0.5);
+        const { samples, trimmedStart } = applyPostProcessing(input, SAMPLE_RATE, { trimSilence: true });
+        expect(trimmedStart).toBeCloseTo(0.38, 3);
+        expect(samples.length).toBe(Math.round((1 + 2 * 0.12) * SAMPLE_RATE));
+    });
+
+    it('no recorta nada si todo es silencio', () => {
+        const { samples, trimmedStart } = applyPostProcessing(pcm(1), SAMPLE_RATE, { trimSilence: true });
+        expect(trimmedStart).toBe(0);
+        expect(samples.length).toBe(SAMPLE_RATE);
+    });
+
+    it('aplica fundidos lineales de entrada y salida', () => {
+        const input = pcm(new Float32Array(SAMPLE_RATE).fill(0.5));
+        const { samples } = applyPostProcessing(input, SAMPLE_RATE, { fadeInMs: 100, fadeOutMs: 200 });
+        const fadeIn = 0.1 * SAMPLE_RATE;
+        const fadeOut = 0.2 * SAMPLE_RATE;
+        expect(samples[0]).toBe(0);
+        expect(samples[fadeIn / 2] / input[0]).toBeCloseTo(0.5, 2);
+        expect(samples[SAMPLE_RATE / 2]).toBe(input[0]);
+        expect(samples[SAMPLE_RATE - 1 - fadeOut / 2] / input[0]).toBeCloseTo(0.5, 2);
+        expect(samples[SAMPLE_RATE - 1]).toBe(0);
+    });
+
+    it('lleva la sonoridad al objetivo', () => {
+        const { loudness } = applyPostProcessing(pcm(sine(997, 0.1, 3)), SAMPLE_RATE, { normalizeLoudness: true, targetLufs: -16 });
+        expect(loudness).toBeCloseTo(-16, 1);
+    });
+
+    it('no supera -1 dBFS de pico aunque el objetivo lo pida', () => {
+        const { samples, loudness } = applyPostProcessing(pcm(sine(997, 0.1, 3)), SAMPLE_RATE, { normalizeLoudness: true, targetLufs: 0 });
+        const ceiling = Math.pow(10, -1 / 20) * 32767;
+        expect(peakOf(samples)).toBeLessThanOrEqual(Math.ceil(ceiling));
+        expect(peakOf(samples)).toBeGreaterThan(ceiling - 2);
+        expect(loudness).toBeLessThan(0);
+    });
+
+    it('atenúa la música mientras hay voz y la recupera después', () => {
+        // Música constante a 0,5: lo que suma a cada muestra es 0,5 por su ganancia.
+        const music = { samples: new Float32Array(SAMPLE_RATE).fill(0.5), sampleRate: SAMPLE_RATE };
+        const input = pcm(0.5, sine(440, 0.3, 1), 1);
+        const { samples } = applyPostProcessing(input, SAMPLE_RATE, { musicGainDb: -20, duckingDb: 12 }, music);
+        const musicGainAt = (seconds) => {
+            const i = Math.round(seconds * SAMPLE_RATE);
+            return (samples[i] - input[i]) / 32767 / 0.5;
+        };
+
+        expect(20 * Math.log10(musicGainAt(0.25))).toBeCloseTo(-20, 1);
+        expect(20 * Math.log10(musicGainAt(1.2))).toBeCloseTo(-32, 0);
+        expect(musicGainAt(2.4)).toBeGreaterThan(musicGainAt(1.7));
+        expect(20 * Math.log10(musicGainAt(2.4))).toBeGreaterThan(-22);
+    });
+
+    it('remuestrea la música a la frecuencia de la voz', () => {
+        const music = { samples: new Float32Array(48000).fill(0.5), sampleRate: 48000 };
+        const { samples } = applyPostProcessing(pcm(1), SAMPLE_RATE, { musicGainDb: -20 }, music);
+        expect(samples.length).toBe(SAMPLE_RATE);
+        expect(samples[SAMPLE_RATE - 1] / 32767).toBeCloseTo(0.05, 3);
+    });
+});
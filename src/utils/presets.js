@@ -0,0 +1,47 @@
+import { DEFAULT_POST_PROCESSING } from './postProcessing';
+
+// --- Presets de voz ---
+// Un preset guarda { name, provider, voice, style, tempo, pitchSemitones,
+// postProcessing } con un nombre. Se guardan en localStorage.
+
+const PRESETS_STORAGE = 'tts-presets';
+
+export function loadPresets() {
+    try {
+        const presets = JSON.parse(localStorage.getItem(PRESETS_STORAGE) || '[]');
+        return Array.isArray(presets) ? presets : [];
+    } catch (error) {
+        console.error("Error al leer los presets:", error);
+        return [];
+    }
+}
+
+export function savePresets(presets) {
+    localStorage.setItem(PRESETS_STORAGE, JSON.stringify(presets));
+}
+
+// Añade o reemplaza presets por nombre, conservando el orden existente.
+export function mergePresets(current, incoming) {
+    const byName = new Map(current.map(preset => [preset.name, preset]));
+    for (const preset of incoming) byName.set(preset.name, preset);
+    return [...byName.values()];
+}
+
+// Ajustes que guarda un preset, completando el postprocesado con los valores
+// por defecto para que dos presets equivalentes se comparen iguales.
+export function presetSettings({ provider, voice, style, tempo, pitchSemitones, postProcessing }) {
+    return {
+        provider: provider || null,
+        voice,
+        style: style || '',
+        tempo,
+        pitchSemitones,
+        postProcessing: { ...DEFAULT_POST_PROCESSING, ...postProcessing },
+    };
+}
+
+// El preset cuyos ajustes coinciden exactamente con los actuales, si existe.
+export function findMatchingPreset(presets, settings) {
+    const current = JSON.stringify(presetSettings(settings));
+    return presets.find(preset => JSON.stringify(presetSettings(preset)) === current) || null;
+}
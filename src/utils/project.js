@@ -0,0 +1,135 @@
+import { DEFAULT_POST_PROCESSING } from './postProcessing';
+import { presetSettings } from './presets';
+
+// --- Archivos de proyecto ---
+// Un proyecto es un JSON con el texto, los presets y una lista de segmentos:
+//
+//   {
+//     "format": "tts-project", "version": 1,
+//     "text": "...", "mode": "narration", "locale": "es",
+//     "presets": [{ "name": "Marca", "provider": "gemini", "voice": "Kore", "style": "",
+//                   "tempo": 1, "pitchSemitones": 0, "postProcessing": { ... } }],
+//     "segments": [{ "text": "...", "preset": "Marca" }]
+//   }
+//
+// "preset" de un segmento es el nombre de un preset del mismo archivo o null.
+
+export const PROJECT_FORMAT = 'tts-project';
+export const PROJECT_VERSION = 1;
+
+const MODES = ['narration', 'dialogue'];
+const LOCALES = ['es', 'en'];
+
+export function buildProject({ text, mode, locale, presets, segments }) {
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        text,
+        mode,
+        locale,
+        presets: presets.map(preset => ({ name: preset.name, ...presetSettings(preset) })),
+        segments: segments.map(({ text: segmentText, preset }) => ({ text: segmentText, preset: preset || null })),
+    };
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumberIn = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+function validatePostProcessing(value, path, errors) {
+    if (value === undefined) return;
+    if (!isObject(value)) {
+        errors.push(`${path}: debe ser un objeto.`);
+        return;
+    }
+    for (const [key, setting] of Object.entries(value)) {
+        if (!(key in DEFAULT_POST_PROCESSING)) {
+            errors.push(`${path}.${key}: ajuste desconocido.`);
+        } else if (typeof setting !== typeof DEFAULT_POST_PROCESSING[key]) {
+            errors.push(`${path}.${key}: debe ser ${typeof DEFAULT_POST_PROCESSING[key] === 'boolean' ? 'true o false' : 'un número'}.`);
+        }
+    }
+}
+
+function validatePreset(preset, path, errors) {
+    if (!isObject(preset)) {
+        errors.push(`${path}: debe ser un objeto.`);
+        return;
+    }
+    if (typeof preset.name !== 'string' || !preset.name.trim()) errors.push(`${path}.name: falta el nombre del preset.`);
+    if (preset.provider != null && typeof preset.provider !== 'string') errors.push(`${path}.provider: debe ser un texto.`);
+    if (typeof preset.voice !== 'string' || !preset.voice) errors.push(`${path}.voice: falta la voz.`);
+    if (preset.style != null && typeof preset.style !== 'string') errors.push(`${path}.style: debe ser un texto.`);
+    if (!isNumberIn(preset.tempo, 0.5, 2)) errors.push(`${path}.tempo: debe ser un número entre 0.5 y 2.`);
+    if (!Number.isInteger(preset.pitchSemitones) || !isNumberIn(preset.pitchSemitones, -12, 12)) {
+        errors.push(`${path}.pitchSemitones: debe ser un entero entre -12 y 12.`);
+    }
+    validatePostProcessing(preset.postProcessing, `${path}.postProcessing`, errors);
+}
+
+/**
+ * Comprueba la estructura de un proyecto ya parseado. Devuelve la lista de
+ * errores, cada uno con la ruta del campo (p. ej. "presets[1].voice: ...");
+ * vacía si el proyecto es válido.
+ */
+export function validateProject(data) {
+    const errors = [];
+    if (!isObject(data) || data.format !== PROJECT_FORMAT) {
+        return [`No es un archivo de proyecto: falta "format": "${PROJECT_FORMAT}".`];
+    }
+    if (data.version !== PROJECT_VERSION) {
+        return [`Versión de proyecto no admitida: ${JSON.stringify(data.version)}. Esta aplicación lee la versión ${PROJECT_VERSION}.`];
+    }
+    if (typeof data.text !== 'string') errors.push('text: debe ser un texto.');
+    if (data.mode !== undefined && !MODES.includes(data.mode)) errors.push(`mode: debe ser ${MODES.join(' o ')}.`);
+    if (data.locale !== undefined && !LOCALES.includes(data.locale)) errors.push(`locale: debe ser ${LOCALES.join(' o ')}.`);
+
+    const presetNames = new Set();
+    if (!Array.isArray(data.presets)) {
+        errors.push('presets: debe ser una lista.');
+    } else {
+        data.presets.forEach((preset, index) => {
+            validatePreset(preset, `presets[${index}]`, errors);
+            if (isObject(preset) && typeof preset.name === 'string') {
+                if (presetNames.has(preset.name)) errors.push(`presets[${index}].name: el nombre "${preset.name}" está repetido.`);
+                presetNames.add(preset.name);
+            }
+        });
+    }
+
+    if (!Array.isArray(data.segments)) {
+        errors.push('segments: debe ser una lista.');
+    } else {
+        data.segments.forEach((segment, index) => {
+            const path = `segments[${index}]`;
+            if (!isObject(segment)) {
+                errors.push(`${path}: debe ser un objeto.`);
+                return;
+            }
+            if (typeof segment.text !== 'string' || !segment.text.trim()) errors.push(`${path}.text: falta el texto.`);
+            if (segment.preset != null && !presetNames.has(segment.preset)) {
+                errors.push(`${path}.preset: el preset "${segment.preset}" no está definido en el proyecto.`);
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * Comprueba que las voces de los presets existan en su proveedor.
+ * `voicesByProvider` es un objeto { proveedor: [{ value, label }] | null };
+ * null indica un proveedor desconocido.
+ */
+export function findUnknownVoices(presets, voicesByProvider, defaultProvider) {
+    const errors = [];
+    presets.forEach((preset, index) => {
+        const provider = preset.provider || defaultProvider;
+        const voices = voicesByProvider[provider];
+        if (!voices) {
+            errors.push(`presets[${index}] ("${preset.name}"): el proveedor "${provider}" no existe en este servidor.`);
+        } else if (!voices.some(voice => voice.value === preset.voice)) {
+            const available = voices.map(voice => voice.value).join(', ');
+            errors.push(`presets[${index}] ("${preset.name}"): la voz "${preset.voice}" no existe en ${provider}. Voces disponibles: ${available}.`);
+        }
+    });
+    return errors;
+}
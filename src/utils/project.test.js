@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import { buildProject, validateProject, findUnknownVoices, PROJECT_FORMAT, PROJECT_VERSION } from './project';
+
+const preset = (overrides = {}) => ({
+    name: 'Marca',
+    provider: 'gemini',
+    voice: 'Kore',
+    style: 'alegre',
+    tempo: 1,
+    pitchSemitones: 0,
+    postProcessing: { normalizeLoudness: true, targetLufs: -16 },
+    ...overrides,
+});
+
+// Proyecto válido con dos presets y tres segmentos; `overrides` sustituye campos.
+const project = (overrides = {}) => ({
+    ...buildProject({
+        text: 'Hola.\n\nAdiós.',
+        mode: 'narration',
+        locale: 'es',
+        presets: [preset(), preset({ name: 'Grave', voice: 'Puck', pitchSemitones: -3 })],
+        segments: [{ text: 'Hola.', preset: 'Marca' }, { text: 'Adiós.', preset: 'Grave' }, { text: 'Sin preset.' }],
+    }),
+    ...overrides,
+});
+
+describe('validateProject', () => {
+    it('acepta un proyecto generado por buildProject', () => {
+        const data = project();
+        expect(data.format).toBe(PROJECT_FORMAT);
+        expect(data.version).toBe(PROJECT_VERSION);
+        expect(data.segments[2].preset).toBeNull();
+        expect(validateProject(data)).toEqual([]);
+    });
+
+    it('acepta un proyecto que pasa por JSON y sin campos opcionales', () => {
+        const data = JSON.parse(JSON.stringify(project()));
+        delete data.mode;
+        delete data.locale;
+        delete data.presets[0].provider;
+        delete data.presets[0].style;
+        delete data.presets[0].postProcessing;
+        expect(validateProject(data)).toEqual([]);
+    });
+
+    it('rechaza lo que no es un proyecto', () => {
+        for (const data of [null, [], 'texto', { version: 1 }, { format: 'otro', version: 1 }]) {
+            expect(validateProject(data)).toEqual([`No es un archivo de proyecto: falta "format": "${PROJECT_FORMAT}".`]);
+        }
+    });
+
+    it('rechaza otras versiones sin revisar el resto', () => {
+        for (const version of [2, 0, '1', undefined]) {
+            const errors = validateProject(project({ version, text: 42 }));
+            expect(errors).toHaveLength(1);
+            expect(errors[0]).toMatch(/^Versión de proyecto no admitida/);
+        }
+    });
+
+    it('señala cada campo de primer nivel mal formado', () => {
+        expect(validateProject(project({ text: 42, mode: 'cantado', locale: 'fr', presets: {}, segments: 'a' }))).toEqual([
+            'text: debe ser un texto.',
+            'mode: debe ser narration o dialogue.',
+            'locale: debe ser es o en.',
+            'presets: debe ser una lista.',
+            'segments: debe ser una lista.',
+        ]);
+    });
+
+    it('indica la ruta de los errores de cada preset', () => {
+        const presets = [
+            'no es un objeto',
+            preset({ name: ' ', provider: 3, voice: '', style: 7, tempo: 3, pitchSemitones: 1.5 }),
+            preset({ name: 'Post', postProcessing: { reverb: 1, trimSilence: 'sí', fadeInMs: '10' } }),
+            preset({ name: 'Lista', postProcessing: [] }),
+        ];
+        expect(validateProject(project({ presets, segments: [] }))).toEqual([
+            'presets[0]: debe ser un objeto.',
+            'presets[1].name: falta el nombre del preset.',
+            'presets[1].provider: debe ser un texto.',
+            'presets[1].voice: falta la voz.',
+            'presets[1].style: debe ser un texto.',
+            'presets[1].tempo: debe ser un número entre 0.5 y 2.',
+            'presets[1].pitchSemitones: debe ser un entero entre -12 y 12.',
+            'presets[2].postProcessing.reverb: ajuste desconocido.',
+            'presets[2].postProcessing.trimSilence: debe ser true o false.',
+            'presets[2].postProcessing.fadeInMs: debe ser un número.',
+            'presets[3].postProcessing: debe ser un objeto.',
+        ]);
+    });
+
+    it('rechaza tempos y tonos fuera de rango o no finitos', () => {
+        for (const tempo of [0.49, 2.01, NaN, Infinity, '1']) {
+            expect(validateProject(project({ presets: [preset({ tempo })], segments: [] }))).toEqual([
+                'presets[0].tempo: debe ser un número entre 0.5 y 2.',
+            ]);
+        }
+        for (const pitchSemitones of [-13, 13, 0.5, '2']) {
+            expect(validateProject(project({ presets: [preset({ pitchSemitones })], segments: [] }))).toEqual([
+                'presets[0].pitchSemitones: debe ser un entero entre -12 y 12.',
+            ]);
+        }
+    });
+
+    it('rechaza nombres de preset repetidos', () => {
+        expect(validateProject(project({ presets: [preset(), preset({ voice: 'Puck' })], segments: [] }))).toEqual([
+            'presets[1].name: el nombre "Marca" está repetido.',
+        ]);
+    });
+
+    it('comprueba los segmentos y que sus presets existan', () => {
+        const segments = [null, { text: '  ' }, { text: 'Hola', preset: 'Otro' }, { text: 'Hola', preset: null }];
+        expect(validateProject(project({ segments }))).toEqual([
+            'segments[0]: debe ser un objeto.',
+            'segments[1].text: falta el texto.',
+            'segments[2].preset: el preset "Otro" no está definido en el proyecto.',
+        ]);
+    });
+});
+
+describe('findUnknownVoices', () => {
+    const voicesByProvider = {
+        gemini: [{ value: 'Kore', label: 'Kore' }, { value: 'Puck', label: 'Puck' }],
+        mock: [{ value: 'Prueba', label: 'Prueba' }],
+        azure: null,
+    };
+
+    it('no devuelve nada si todas las voces existen', () => {
+        const presets = [preset(), preset({ name: 'Mock', provider: 'mock', voice: 'Prueba' })];
+        expect(findUnknownVoices(presets, voicesByProvider, 'gemini')).toEqual([]);
+    });
+
+    it('usa el proveedor por defecto cuando el preset no tiene', () => {
+        const presets = [preset({ provider: null, voice: 'Prueba' })];
+        expect(findUnknownVoices(presets, voicesByProvider, 'mock')).toEqual([]);
+        expect(findUnknownVoices(presets, voicesByProvider, 'gemini')).toEqual([
+            'presets[0] ("Marca"): la voz "Prueba" no existe en gemini. Voces disponibles: Kore, Puck.',
+        ]);
+    });
+
+    it('señala voces y proveedores desconocidos', () => {
+        const presets = [
+            preset(),
+            preset({ name: 'Azure', provider: 'azure' }),
+            preset({ name: 'Otro', provider: 'polly' }),
+            preset({ name: 'Fantasma', voice: 'Nadie' }),
+        ];
+        expect(findUnknownVoices(presets, voicesByProvider, 'gemini')).toEqual([
+            'presets[1] ("Azure"): el proveedor "azure" no existe en este servidor.',
+            'presets[2] ("Otro"): el proveedor "polly" no existe en este servidor.',
+            'presets[3] ("Fantasma"): la voz "Nadie" no existe en gemini. Voces disponibles: Kore, Puck.',
+        ]);
+    });
+});
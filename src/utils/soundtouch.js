@@ -0,0 +1,65 @@
+import { SoundTouch, SimpleFilter } from 'soundtouchjs';
+
+// --- Cambio de tempo y tono con SoundTouch ---
+
+const BLOCK_FRAMES = 4096;
+// SimpleFilter no vacía el final de la cadena al agotarse la fuente, así
+// que añadimos silencio de relleno y recortamos la salida a la duración esperada.
+const TAIL_PADDING_SECONDS = 1;
+
+// Fuente mono para SimpleFilter, que trabaja con frames estéreo intercalados.
+class Int16Source {
+    constructor(samples, paddingFrames) {
+        this.samples = samples;
+        this.length = samples.length + paddingFrames;
+    }
+
+    extract(target, numFrames, position) {
+        const frames = Math.max(0, Math.min(numFrames, this.length - position));
+        for (let i = 0; i < frames; i++) {
+            const index = position + i;
+            const value = index < this.samples.length ? this.samples[index] / 32768 : 0;
+            target[i * 2] = value;
+            target[i * 2 + 1] = value;
+        }
+        return frames;
+    }
+}
+
+export function isNeutral({ tempo, pitchSemitones }) {
+    return tempo === 1 && pitchSemitones === 0;
+}
+
+/**
+ * Cambia el tempo (sin alterar el tono) y desplaza el tono en semitonos
+ * (sin alterar la duración) de un PCM de 16 bits mono.
+ * Devuelve un Int16Array nuevo; con ajustes neutros devuelve el original.
+ */
+export function processPcm(samples, sampleRate, { tempo = 1, pitchSemitones = 0 }) {
+    if (isNeutral({ tempo, pitchSemitones })) {
+        return samples;
+    }
+
+    const soundTouch = new SoundTouch();
+    soundTouch.tempo = tempo;
+    soundTouch.pitchSemitones = pitchSemitones;
+
+    const source = new Int16Source(samples, Math.round(sampleRate * TAIL_PADDING_SECONDS));
+    const filter = new SimpleFilter(source, soundTouch);
+    const expectedFrames = Math.round(samples.length / tempo);
+    const output = new Int16Array(expectedFrames);
+    const block = new Float32Array(BLOCK_FRAMES * 2);
+
+    let written = 0;
+    while (written < expectedFrames) {
+        const frames = filter.extract(block, BLOCK_FRAMES);
+        if (frames === 0) break;
+        const count = Math.min(frames, expectedFrames - written);
+        for (let i = 0; i < count; i++) {
+            const value = Math.max(-1, Math.min(1, block[i * 2]));
+            output[written + i] = Math.round(value * 32767);
+        }
+        written += count;
+    }
+    return written === expectedFrames ? output : output.subarray(0, written);
+}
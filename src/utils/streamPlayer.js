@@ -0,0 +1,67 @@
+// --- Reproducción progresiva de PCM con Web Audio ---
+// Programa cada trozo de PCM justo detrás del anterior para que suene sin
+// huecos mientras siguen llegando los demás. Guarda además todas las
+// muestras para montar el audio completo al terminar.
+
+// Margen para programar el primer trozo y para recuperarse si la red se
+// retrasa y la reproducción alcanza al final de lo recibido.
+const SCHEDULE_AHEAD_SECONDS = 0.1;
+
+export class StreamPlayer {
+    constructor() {
+        // Se crea dentro del clic del usuario para que el navegador permita el audio.
+        this.context = new AudioContext();
+        this.nextStartTime = 0;
+        this.sources = new Set();
+        this.chunks = [];
+        this.sampleRate = null;
+        this.stopped = false;
+    }
+
+    get isPlaying() {
+        return !this.stopped && this.sources.size > 0;
+    }
+
+    enqueue(samples, sampleRate) {
+        this.sampleRate = this.sampleRate || sampleRate;
+        this.chunks.push(samples);
+        if (this.stopped || samples.length === 0) return;
+
+        const buffer = this.context.createBuffer(1, samples.length, sampleRate);
+        const channel = buffer.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) {
+            channel[i] = samples[i] / 32768;
+        }
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(this.context.destination);
+        const startTime = Math.max(this.nextStartTime, this.context.currentTime + SCHEDULE_AHEAD_SECONDS);
+        source.start(startTime);
+        this.nextStartTime = startTime + buffer.duration;
+        this.sources.add(source);
+        source.onended = () => this.sources.delete(source);
+    }
+
+    // Todas las muestras recibidas, en un único Int16Array.
+    assemble() {
+        const total = this.chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const samples = new Int16Array(total);
+        let offset = 0;
+        for (const chunk of this.chunks) {
+            samples.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return { samples, sampleRate: this.sampleRate };
+    }
+
+    stop() {
+        if (this.stopped) return;
+        this.stopped = true;
+        for (const source of this.sources) {
+            source.onended = null;
+            source.stop();
+        }
+        this.sources.clear();
+        this.context.close();
+    }
+}
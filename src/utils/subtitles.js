@@ -0,0 +1,58 @@
+// --- Subtítulos SRT y WebVTT a partir de las marcas de tiempo ---
+
+// Las oraciones más largas se parten en varios subtítulos por palabras.
+const MAX_CUE_CHARS = 84;
+
+// Ajusta las marcas de tiempo al tempo aplicado con SoundTouch (el tono no
+// cambia la duración) y, si el postprocesado recortó el silencio inicial,
+// las adelanta `offset` segundos.
+export function scaleTimings(timings, tempo, offset = 0) {
+    const scale = (value) => Math.max(0, value / tempo - offset);
+    return timings.map(sentence => ({
+        ...sentence,
+        start: scale(sentence.start),
+        end: scale(sentence.end),
+        words: sentence.words.map(word => ({ ...word, start: scale(word.start), end: scale(word.end) })),
+    }));
+}
+
+function buildCues(timings) {
+    const cues = [];
+    for (const sentence of timings) {
+        let words = [];
+        const flush = () => {
+            if (words.length === 0) return;
+            cues.push({ start: words[0].start, end: words[words.length - 1].end, text: words.map(word => word.text).join(' ') });
+            words = [];
+        };
+        for (const word of sentence.words) {
+            const length = words.reduce((sum, current) => sum + current.text.length + 1, 0) + word.text.length;
+            if (length > MAX_CUE_CHARS) flush();
+            words.push(word);
+        }
+        flush();
+    }
+    return cues;
+}
+
+function formatTimestamp(seconds, separator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+export function toSrt(timings) {
+    return buildCues(timings)
+        .map((cue, i) => `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`)
+        .join('\n');
+}
+
+export function toWebVtt(timings) {
+    const cues = buildCues(timings)
+        .map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text}\n`)
+        .join('\n');
+    return `WEBVTT\n\n${cues}`;
+}
@@ -0,0 +1,18 @@
+import { processPcm } from '../utils/soundtouch';
+import { applyPostProcessing, isPostProcessingNeutral } from '../utils/postProcessing';
+
+// Procesa el audio fuera del hilo principal para que los sliders sigan
+// respondiendo con narraciones largas.
+self.onmessage = (event) => {
+    const { id, samples, sampleRate, settings } = event.data;
+    try {
+        const { postProcessing, music } = settings;
+        const stretched = processPcm(samples, sampleRate, settings);
+        const result = isPostProcessingNeutral(postProcessing, music)
+            ? { samples: stretched, trimmedStart: 0, loudness: null }
+            : applyPostProcessing(stretched, sampleRate, postProcessing, music);
+        self.postMessage({ id, result }, [result.samples.buffer]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
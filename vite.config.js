@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  test: {
+    // Solo el frontend; el backend tiene sus pruebas (npm test en backend/).
+    include: ['src/**/*.test.{js,jsx}'],
+  },
 })